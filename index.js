@@ -5,4 +5,8 @@ try {
 } catch {
   console.log("zod package not found. Without it you can't use zod-schema package.");
   console.log("Please install zod using meteor npm install zod");
-}
\ No newline at end of file
+}
+
+export { references, unique } from "./src/refinements";
+export { defineMethod } from "./src/defineMethod";
+export { ValidationError } from "./src/ValidationError";
@@ -13,11 +13,14 @@ Package.onUse(function (api) {
     "typescript",
     "ecmascript",
     "mongo",
+    "minimongo",
+    "ejson",
     "check",
     "zodern:types@1.0.13",
   ]);
 
-  api.mainModule("index.js", "server");
+  api.mainModule("index.js", "client");
+  api.mainModule("server.js", "server");
 });
 
 Package.onTest(function (api) {
@@ -32,4 +35,5 @@ Package.onTest(function (api) {
   ]);
 
   api.mainModule("tests/index.js", "server");
+  api.mainModule("tests/client.js", "client");
 });
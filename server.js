@@ -0,0 +1,5 @@
+// The server loads the same package as the client, plus the parts that need
+// the database or the user of the connection.
+export * from "./index";
+
+import "./src/server";
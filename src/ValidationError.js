@@ -7,6 +7,10 @@ const errorsPattern = [Match.ObjectIncluding({
   message: String,
   expected: Match.Optional(String),
   received: Match.Optional(String),
+  path: Match.Optional([Match.OneOf(String, Number)]),
+  operator: Match.Optional(String),
+  collection: Match.Optional(String),
+  params: Match.Optional(Object),
 })];
 
 export const ValidationError = class extends Meteor.Error {
@@ -27,4 +31,8 @@ export const ValidationError = class extends Meteor.Error {
 // Universal validation error code to be use in applications and packages.
 ValidationError.ERROR_CODE = "validation-error";
 // Default validation error message that can be changed globally.
-ValidationError.DEFAULT_MESSAGE = "Validation failed";
\ No newline at end of file
+ValidationError.DEFAULT_MESSAGE = "Validation failed";
+// Builds the message of each error detail, it receives the detail (name, path,
+// type, operator, collection, params...) with the default message. Replace it
+// to translate the messages shown to end users.
+ValidationError.formatMessage = (detail) => detail.message;
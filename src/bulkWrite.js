@@ -0,0 +1,89 @@
+import { ValidationError } from "./ValidationError";
+import { softDeleteModifier } from "./extendWithSoftDelete";
+import { normalizeErrors } from "./utils/errorDetails";
+
+
+const updateTypes = ["updateOne", "updateMany"];
+const deleteTypes = ["deleteOne", "deleteMany"];
+
+// Turns a bulkWrite operation into the method and arguments of the equivalent
+// collection write, so it runs through the same behaviors and validation.
+// Deletes on soft delete collections become updates, like removeAsync does.
+export function writeFromOperation(collection, operation) {
+  const [type, params = {}] = Object.entries(operation || {})[0] || [];
+
+  if (type === "insertOne") {
+    return { type, methodName: "insertAsync", args: [{ ...params.document }] };
+  }
+
+  if (updateTypes.includes(type)) {
+    const { filter, update, ...options } = params;
+
+    return { type, methodName: "updateAsync", args: [filter, update, { ...options, multi: type === "updateMany" }] };
+  }
+
+  if (deleteTypes.includes(type) && collection._softDelete) {
+    const multi = type === "deleteMany";
+
+    return {
+      type: multi ? "updateMany" : "updateOne",
+      methodName: "updateAsync",
+      args: [params.filter, softDeleteModifier(collection._softDeleteOptions), { multi }],
+    };
+  }
+
+  if (deleteTypes.includes(type)) {
+    return { type, args: [params.filter] };
+  }
+
+  throw new ValidationError(normalizeErrors([{
+    name: String(type),
+    type: "unsupported_bulk_operation",
+    message: `${type} is not a supported bulkWrite operation. Use insertOne, updateOne, updateMany, deleteOne or deleteMany.`,
+  }], { collection: collection._name || undefined }), "Unsupported bulkWrite operation");
+}
+
+// Runs the validated writes one by one through the collection methods, so
+// Meteor converts the ids, the write fence waits for them and observers are
+// notified. The schema is skipped, the writes were already validated.
+export async function runWrites(collection, writes) {
+  const result = {
+    insertedCount: 0,
+    matchedCount: 0,
+    modifiedCount: 0,
+    deletedCount: 0,
+    upsertedCount: 0,
+    insertedIds: {},
+    upsertedIds: {},
+  };
+
+  for (const [index, { type, args }] of writes.entries()) {
+    if (type === "insertOne") {
+      result.insertedIds[index] = await collection.insertAsync(args[0], { skipSchema: true });
+      result.insertedCount++;
+    } else if (updateTypes.includes(type)) {
+      const options = { ...args[2], skipSchema: true };
+      const { numberAffected, insertedId } = options.upsert ?
+        await collection.upsertAsync(args[0], args[1], options) :
+        { numberAffected: await collection.updateAsync(args[0], args[1], options) };
+
+      if (insertedId) {
+        result.upsertedIds[index] = insertedId;
+        result.upsertedCount++;
+      } else {
+        result.matchedCount += numberAffected;
+        result.modifiedCount += numberAffected;
+      }
+    } else {
+      const selector = type === "deleteOne" ?
+        (await collection.findOneAsync(args[0], { fields: { _id: 1 } }))?._id :
+        args[0];
+
+      if (selector) {
+        result.deletedCount += await collection.forceRemoveAsync(selector);
+      }
+    }
+  }
+
+  return result;
+}
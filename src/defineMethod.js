@@ -0,0 +1,29 @@
+import { ValidationError } from "./ValidationError";
+import { issuesToErrors, normalizeErrors } from "./utils/errorDetails";
+
+
+// Defines a Meteor method whose argument is parsed with the input schema
+// before run is called, invalid arguments throw a ValidationError. The input
+// can be derived from a collection with insertSchema() or updateSchema().
+// Returns a function that calls the method.
+export function defineMethod({ name, input, run }) {
+  Meteor.methods({
+    async [name](args) {
+      let parsedArgs = args;
+
+      if (input) {
+        const { success, data, error } = await input.safeParseAsync(args);
+
+        if (!success) {
+          throw new ValidationError(normalizeErrors(issuesToErrors(error.issues)), "Method arguments validation error");
+        }
+
+        parsedArgs = data;
+      }
+
+      return await run.call(this, parsedArgs);
+    },
+  });
+
+  return (args) => Meteor.callAsync(name, args);
+}
@@ -1,17 +1,17 @@
-export function extendWithDates(args, { isUpsert, isUpdate } = {}) {
+export function extendWithDates(args, { isUpsert, isUpdate, createdAtField = "createdAt", updatedAtField = "updatedAt" } = {}) {
   if (isUpsert) {
     args[1]["$setOnInsert"] = args[1]["$setOnInsert"] || {};
-    args[1]["$setOnInsert"].createdAt = new Date();
-    args[1]["$setOnInsert"].updatedAt = new Date();
+    args[1]["$setOnInsert"][createdAtField] = new Date();
     args[1]["$set"] = args[1]["$set"] || {};
-    args[1]["$set"].updatedAt = new Date();
+    args[1]["$set"][updatedAtField] = new Date();
+    delete args[1]["$set"][createdAtField];
   } else if (isUpdate) {
     args[1]["$set"] = args[1]["$set"] || {};
-    args[1]["$set"].updatedAt = new Date();
-    args[1]["$set"].createdAt = undefined;
-    delete args[1]["$set"].createdAt;
+    args[1]["$set"][updatedAtField] = new Date();
+    args[1]["$set"][createdAtField] = undefined;
+    delete args[1]["$set"][createdAtField];
   } else {
-    args[0].createdAt = new Date();
-    args[0].updatedAt = new Date();
+    args[0][createdAtField] = new Date();
+    args[0][updatedAtField] = new Date();
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,111 @@
+import { ValidationError } from "./ValidationError";
+import { issuesToErrors, normalizeErrors } from "./utils/errorDetails";
+import { discriminatedSchema, rootObjectSchema } from "./utils/rootSchema";
+import { validationContext } from "./utils/validationContext";
+import { upgradeDocument } from "./schemaVersion";
+
+
+export const readModes = ["log", "throw", "strip"];
+
+// Parses the documents returned by find and findOne with the collection
+// schema, through the cursor transform, so defaults and transforms are applied.
+// Invalid documents are logged and returned as they are ("log"), throw a
+// ValidationError ("throw") or lose their invalid fields ("strip"). Documents
+// at an older schema version are upgraded first. Reads with a projection or
+// the skipSchema option are returned as they are stored.
+export function extendWithReadValidation(collection, args, schemaOptions) {
+  const { validateReads: mode, readPassthrough = true, version } = schemaOptions;
+  const { skipSchema, ...options } = args[1] || {};
+
+  if (args.length > 1) {
+    args[1] = options;
+  }
+
+  if (skipSchema || options.fields || options.projection) {
+    return;
+  }
+
+  const transform = options.transform === undefined ? collection._transform : options.transform;
+
+  if (args.length === 0) {
+    args.push({});
+  }
+
+  args[1] = {
+    ...options,
+    transform: (doc) => {
+      let parsedDoc = version === undefined ? doc : upgradeDocument(doc, schemaOptions);
+
+      if (mode) {
+        parsedDoc = parseReadDocument(collection, parsedDoc, { mode, readPassthrough });
+      }
+
+      return transform ? transform(parsedDoc) : parsedDoc;
+    },
+  };
+}
+
+function parseReadDocument(collection, doc, { mode, readPassthrough }) {
+  const { success, data, error } = safeParseRead(collection._schema, doc);
+
+  if (success) {
+    return readDocument(doc, data, readPassthrough);
+  }
+
+  const errors = normalizeErrors(
+    issuesToErrors(error.issues).map((detail) => ({ ...detail, docId: doc._id })),
+    { collection: collection._name || undefined },
+  );
+
+  if (mode === "throw") {
+    throw new ValidationError(errors, "Document read validation error");
+  }
+
+  if (mode === "strip") {
+    return stripInvalidFields(collection._schema, doc, error.issues, readPassthrough);
+  }
+
+  // eslint-disable-next-line no-console
+  console.warn(`Document ${doc._id} doesn't match the schema`, errors);
+
+  return doc;
+}
+
+// Removes the top level fields that have issues and parses the rest, with the
+// removed fields made optional, so defaults and transforms are still applied.
+// Root schemas that are not objects can't be parsed without the fields.
+function stripInvalidFields(schema, doc, issues, readPassthrough) {
+  const invalidFields = issues.map((issue) => issue.path[0]).filter((field) => field !== undefined);
+  const strippedDoc = Object.fromEntries(Object.entries(doc).filter(([key]) => !invalidFields.includes(key)));
+  const objectSchema = rootObjectSchema(discriminatedSchema(schema, strippedDoc));
+
+  if (!objectSchema) {
+    return strippedDoc;
+  }
+
+  const optionalFields = Object.fromEntries(invalidFields.map((field) => [field, true]));
+  const { success, data } = safeParseRead(objectSchema.partial(optionalFields), strippedDoc);
+
+  return success ? readDocument(strippedDoc, data, readPassthrough) : strippedDoc;
+}
+
+// Like .passthrough(), the fields unknown to the schema are kept
+function readDocument(doc, data, readPassthrough) {
+  return readPassthrough ? { ...doc, ...data } : { _id: doc._id, ...data };
+}
+
+// The cursor transform is synchronous. unique() and references() are skipped
+// on reads, other async refinements and transforms can't run.
+function safeParseRead(schema, doc) {
+  try {
+    return validationContext.withValue({ read: true }, () => schema.safeParse(doc));
+  } catch (e) {
+    if (/synchronous parse/i.test(e.message)) {
+      throw new Meteor.Error(
+        "ASYNC_READ_SCHEMA",
+        "validateReads parses documents synchronously, the schema can't have async refinements or transforms other than unique() and references().");
+    }
+
+    throw e;
+  }
+}
@@ -2,48 +2,181 @@ import { z } from "zod";
 import { Mongo } from "meteor/mongo";
 
 import { unsupportedOps } from "./utils/unsupportedOps";
-import { extendWithUser } from "./extendWithUser";
+import { extendWithUser, getUserId } from "./extendWithUser";
 import { extendWithDates } from "./extendWithDates";
+import { extendWithSoftDelete, softDeleteModifier } from "./extendWithSoftDelete";
+import { extendWithReadValidation, readModes } from "./extendWithReadValidation";
 import { ValidationError } from "./ValidationError";
+import { numericOps, validateNumericOps } from "./validateNumericOps";
+import { validateRename, validateUnset } from "./validateUnsetOps";
+import { validateArrayFilters, validatePull, validatePullAll } from "./validateArrayOps";
+import { validateCurrentDate } from "./validateCurrentDate";
+import { expandSetOnInsert, upsertDocument, validateUpsertDocument } from "./validateUpsert";
+import { validateFullDocuments } from "./validateFullDocument";
+import { runWrites, writeFromOperation } from "./bulkWrite";
+import { extendWithSchemaVersion, writeUpgradedDocuments } from "./schemaVersion";
+import { schemaImmutableFields, validateImmutableFields } from "./validateImmutableFields";
+import { expandDottedKeys } from "./utils/expandDottedKeys";
+import { arrayElementSchema, schemaFromPath } from "./utils/schemaFromPath";
+import { checkFieldExists, checkFieldIsArray } from "./utils/fieldChecks";
+import { issuesToErrors, normalizeErrors } from "./utils/errorDetails";
+import { validationContext } from "./utils/validationContext";
+import { serverOnly } from "./utils/serverOnly";
+import { checkSoftDeleteEnabled } from "./utils/collectionChecks";
+import { discriminatedSchema, extendSchema, hasRefinements, partialSchema, rootObjectSchema } from "./utils/rootSchema";
 
 
 const removeAsync = Mongo.Collection.prototype.removeAsync;
 const writeMethods = ["insertAsync", "updateAsync", "upsertAsync"];
+const readMethods = ["find", "findOne", "findOneAsync", "countDocuments"];
+const serverOnlyMethods = ["purgeDeletedAsync", "enforceRetentionAsync", "auditSchemaAsync", "migrateAsync"];
 
 Object.assign(Mongo.Collection.prototype, {
   _schema: null,
+  _baseSchema: null,
+  _schemaOptions: {},
+  _behaviors: {},
   _withDates: false,
   _softDelete: false,
-  withSchema(schema) {
-    this._schema = schema;
+  _immutableFields: [],
+  withSchema(schema, {
+    validateFullDocument = false,
+    validateReads = false,
+    readPassthrough = true,
+    version,
+    migrations = {},
+    versionField = "schemaVersion",
+  } = {}) {
+    if (validateReads && !readModes.includes(validateReads)) {
+      throw new Meteor.Error(
+        "INVALID_READ_MODE",
+        `validateReads must be one of ${readModes.join(", ")}.`);
+    }
+
+    if (version !== undefined && !(Number.isInteger(version) && version > 0)) {
+      throw new Meteor.Error(
+        "INVALID_SCHEMA_VERSION",
+        "The schema version must be a positive integer.");
+    }
+
+    this._baseSchema = schema;
+    this._schemaOptions = { validateFullDocument, validateReads, readPassthrough, version, migrations, versionField };
+    this._behaviors = { ...this._behaviors };
+
+    // The version field is only in the schema of versioned collections
+    if (version === undefined) {
+      delete this._behaviors.schemaVersion;
+    } else {
+      this._behaviors.schemaVersion = { [versionField]: z.number().int() };
+    }
+
+    applyBehaviors(this);
 
     return this;
   },
-  withUser() {
+  // The schema the stored documents match, with the fields added by withUser,
+  // withDates and withSoftDelete.
+  getSchema() {
+    return this._schema;
+  },
+  // The schema of the documents given to insertAsync, without the fields
+  // managed by the collection (createdAt, userId, isDeleted...).
+  getInsertSchema() {
+    return this._baseSchema;
+  },
+  // The schema of the fields given to $set, every field is optional and the
+  // immutable fields are left out.
+  getUpdateSchema() {
+    if (!this._baseSchema) {
+      return null;
+    }
+
+    const updateSchema = partialSchema(this._baseSchema);
+    const immutableFields = [...this._immutableFields, ...schemaImmutableFields(this._baseSchema)]
+      .filter((field) => !field.includes("."));
+
+    if (!(updateSchema instanceof z.ZodObject)) {
+      return updateSchema;
+    }
+
+    return updateSchema.omit(Object.fromEntries(immutableFields.map((field) => [field, true])));
+  },
+  insertSchema() {
+    return this.getInsertSchema();
+  },
+  updateSchema() {
+    return this.getUpdateSchema();
+  },
+  hasBehavior(name) {
+    return name in this._behaviors;
+  },
+  getBehaviors() {
+    return Object.keys(this._behaviors);
+  },
+  withUser({
+    trackUpdates = false,
+    userIdField = "userId",
+    updatedByField = "updatedBy",
+    userIdSchema = z.string().length(17),
+  } = {}) {
     this._withUser = true;
+    this._userOptions = { trackUpdates, userIdField, updatedByField };
 
-    this._schema = this._schema.extend({
-      userId: z.string().length(17),
+    addBehavior(this, "user", {
+      // The server fills it, client writes don't have it
+      [userIdField]: serverOnly.getUserId ? userIdSchema : userIdSchema.optional(),
+      ...(trackUpdates && { [updatedByField]: userIdSchema.optional() }),
     });
 
     return this;
   },
-  withDates() {
+  // Fields that can't be updated once inserted, besides the ones marked with
+  // .describe("immutable") in the schema.
+  withImmutableFields(fields = []) {
+    this._immutableFields = fields;
+
+    return this;
+  },
+  withDates({
+    createdAtField = "createdAt",
+    updatedAtField = "updatedAt",
+    dateSchema = z.date(),
+  } = {}) {
     this._withDates = true;
+    this._dateOptions = { createdAtField, updatedAtField };
 
-    this._schema = this._schema.extend({
-      createdAt: z.date(),
-      updatedAt: z.date(),
+    addBehavior(this, "dates", {
+      [createdAtField]: dateSchema,
+      [updatedAtField]: dateSchema,
     });
 
     return this;
   },
-  withSoftDelete() {
+  withSoftDelete({
+    retentionDays,
+    isDeletedField = "isDeleted",
+    deletedAtField = "deletedAt",
+    deletedByField = "deletedBy",
+    restoredAtField = "restoredAt",
+    restoredByField = "restoredBy",
+    userIdSchema = z.string().length(17),
+  } = {}) {
     this._softDelete = true;
-
-    this._schema = this._schema.extend({
-      isDeleted: z.boolean().default(false),
-      deletedAt: z.date().optional(),
+    this._softDeleteOptions = {
+      retentionDays,
+      isDeletedField,
+      deletedAtField,
+      deletedByField,
+      restoredAtField,
+      restoredByField,
+    };
+
+    addBehavior(this, "softDelete", {
+      [isDeletedField]: z.boolean().default(false),
+      [deletedAtField]: z.date().optional(),
+      [deletedByField]: userIdSchema.optional(),
+      [restoredAtField]: z.date().optional(),
+      [restoredByField]: userIdSchema.optional(),
     });
 
     return this;
@@ -51,91 +184,226 @@ Object.assign(Mongo.Collection.prototype, {
 
   async removeAsync(params) {
     if (this._softDelete) {
-      return await this.updateAsync(params, {
-        $set: {
-          isDeleted: true,
-          deletedAt: new Date(),
-        },
-      });
+      return await this.updateAsync(params, softDeleteModifier(this._softDeleteOptions));
     }
 
     return await removeAsync.call(this, params);
   },
+  async forceRemoveAsync(params) {
+    return await removeAsync.call(this, params);
+  },
   async recoverAsync(params) {
-    if (!this._softDelete) {
-      throw new Meteor.Error(
-        "SOFT_DELETE_DISABLED",
-        "Soft delete is not enabled for this collection.");
-    }
+    checkSoftDeleteEnabled(this);
+
+    const { isDeletedField, deletedAtField, deletedByField, restoredAtField, restoredByField } = this._softDeleteOptions;
+    const userId = getUserId();
 
     return await this.updateAsync(params, {
       $unset: {
-        deletedAt: true,
+        [deletedAtField]: true,
+        [deletedByField]: true,
       },
       $set: {
-        isDeleted: false,
+        [isDeletedField]: false,
+        [restoredAtField]: new Date(),
+        ...(userId && { [restoredByField]: userId }),
       },
     });
   },
+  // Validates every operation before writing any of them. The errors of all
+  // the operations are thrown together, each one with the index of its
+  // operation.
+  async bulkWriteAsync(operations, { skipSchema = false } = {}) {
+    const writes = [];
+    const upgradedDocs = [];
+    const errors = [];
+    // The unique() values written by the operations, checked against each other
+    const uniqueValues = new Map();
+
+    for (const [index, operation] of operations.entries()) {
+      try {
+        const write = writeFromOperation(this, operation);
+
+        if (this._schema && !skipSchema && write.methodName) {
+          upgradedDocs.push(...await validateWrite(this, write.methodName, write.args, { batch: { index, uniqueValues } }));
+        }
+
+        writes.push(write);
+      } catch (e) {
+        if (!ValidationError.is(e)) {
+          throw e;
+        }
+
+        e.details.forEach((detail) => errors.push({ ...detail, index }));
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors, "Bulk write validation error");
+    }
+
+    await writeUpgradedDocuments(this, upgradedDocs);
+
+    return await runWrites(this, writes);
+  },
+  async insertManyAsync(docs, options) {
+    const { insertedIds } = await this.bulkWriteAsync(docs.map((document) => ({ insertOne: { document } })), options);
+
+    return Object.values(insertedIds);
+  },
+});
+
+// The maintenance methods are replaced on the server by src/server/maintenance
+serverOnlyMethods.forEach(methodName => {
+  Mongo.Collection.prototype[methodName] = async function() {
+    throw new Meteor.Error(
+      "SERVER_ONLY",
+      `${methodName} can only be called on the server.`);
+  };
 });
 
 writeMethods.forEach(methodName => {
   const method = Mongo.Collection.prototype[methodName];
 
-  Mongo.Collection.prototype[methodName] = function(...args) {
+  Mongo.Collection.prototype[methodName] = async function(...args) {
     const options = args[args.length - 1];
     // eslint-disable-next-line @typescript-eslint/no-this-alias
     const collection = this;
-    const { _name, _schema, _withUser, _withDates } = collection;
 
     if (options?.skipSchema) {
       return method.apply(collection, args);
     }
 
-    if (!_schema) {
+    if (!collection._schema) {
       return method.apply(collection, args);
     }
 
-    const isUpdate = ["update", "updateAsync"].includes(methodName);
-    const isUpsert = (isUpdate && (args[2]?.hasOwnProperty("upsert") || false) && args[2]["upsert"]);
-    const isUserServicesUpdate = isUpdate && _name === "users" && Object.keys(Object.values(args[1])[0])[0].split(".")[0] === "services";
+    const upgradedDocs = await validateWrite(collection, methodName, args);
 
-    // If you do have a Meteor.users schema, then this prevents a check on Meteor.users.services updates that run periodically to resume login tokens and other things that don't need validation
-    if (isUserServicesUpdate || ["upsert", "upsertAsync"].includes(methodName)) {
-      return method.apply(collection, args);
+    await writeUpgradedDocuments(collection, upgradedDocs);
+
+    // upsertAsync runs through updateAsync, that must not validate it again
+    if (["upsert", "upsertAsync"].includes(methodName)) {
+      return method.call(collection, args[0], args[1], { ...args[2], skipSchema: true });
+    }
+
+    return method.apply(collection, args);
+  };
+});
+
+readMethods.forEach(methodName => {
+  const method = Mongo.Collection.prototype[methodName];
+
+  Mongo.Collection.prototype[methodName] = function(...args) {
+    if (this._softDelete) {
+      extendWithSoftDelete(args, this._softDeleteOptions);
+    }
+
+    const { validateReads, version } = this._schemaOptions;
+
+    if (this._schema && (validateReads || version !== undefined) && methodName !== "countDocuments") {
+      extendWithReadValidation(this, args, this._schemaOptions);
+    }
+
+    return method.apply(this, args);
+  };
+});
+
+
+// The fields added by withUser, withDates and withSoftDelete are kept apart
+// from the schema given to withSchema, so they can be called in any order and
+// survive a new withSchema call.
+function addBehavior(collection, name, fields) {
+  collection._behaviors = { ...collection._behaviors, [name]: fields };
+  applyBehaviors(collection);
+}
+
+function applyBehaviors(collection) {
+  const { _baseSchema, _behaviors } = collection;
+
+  if (!_baseSchema) {
+    return;
+  }
+
+  collection._schema = Object.values(_behaviors).reduce(extendSchema, _baseSchema);
+}
+
+// Applies the behaviors (dates, user...) to the arguments of a write method and
+// validates them, the arguments are updated with the parsed values. Returns the
+// documents upgraded to the current schema version, to be written before the
+// write itself once it is valid. bulkWriteAsync passes the batch the write
+// belongs to.
+async function validateWrite(collection, methodName, args, { batch } = {}) {
+  const { _name, _schema, _schemaOptions, _withUser, _userOptions, _withDates, _dateOptions } = collection;
+  const isUpdate = ["update", "updateAsync", "upsert", "upsertAsync"].includes(methodName);
+  const isUpsert = ["upsert", "upsertAsync"].includes(methodName) || (isUpdate && !!args[2]?.upsert);
+  const isUserServicesUpdate = isUpdate && _name === "users" && Object.keys(Object.values(args[1])[0])[0].split(".")[0] === "services";
+
+  // If you do have a Meteor.users schema, then this prevents a check on Meteor.users.services updates that run periodically to resume login tokens and other things that don't need validation
+  if (isUserServicesUpdate) {
+    return [];
+  }
+
+  // unique() and references() get the collection, the selector of the update,
+  // whether it is a multi update and the batch from the validation context.
+  const context = { collection, selector: isUpdate ? args[0] : undefined, multi: isUpdate && !!args[2]?.multi, batch };
+  // The operator being validated, added to the error details
+  let operator;
+  let upgradedDocs = [];
+
+  try {
+    const immutableFields = [...collection._immutableFields, ...schemaImmutableFields(_schema)];
+
+    // Checked on the modifier of the caller, withDates and withUser remove the
+    // fields they manage from it
+    if (isUpdate && immutableFields.length > 0) {
+      validateImmutableFields(args[1], immutableFields);
     }
 
     if (_withDates) {
-      extendWithDates(args, { isUpsert, isUpdate });
+      extendWithDates(args, { isUpsert, isUpdate, ..._dateOptions });
     }
 
     if (_withUser) {
-      extendWithUser(args, { isUpsert, isUpdate });
+      extendWithUser(args, { isUpsert, isUpdate, ..._userOptions });
     }
 
-    const schemaToCheck = isUpdate ? _schema.deepPartial() : _schema;
+    if (_schemaOptions.version !== undefined) {
+      extendWithSchemaVersion(args, { isUpsert, isUpdate, ..._schemaOptions });
+    }
 
-    try {
-      if (isUpsert) {
-        if (args[1].$set) {
-          args[1].$set = _schema.deepPartial().parse(args[1].$set);
+    await validationContext.withValue(context, async () => {
+      if (isUpdate) {
+        // The server upgrades the stored documents, they are written back once
+        // the write is valid
+        if (_schemaOptions.version !== undefined && serverOnly.upgradeDocuments) {
+          upgradedDocs = await serverOnly.upgradeDocuments(collection, args, _schemaOptions);
         }
 
-        if (args[1].$setOnInsert) {
-          args[1].$setOnInsert = _schema.partial().parse(args[1].$setOnInsert);
+        // Fields are looked up in the discriminated union member the document
+        // belongs to, when the update or the selector tell which one it is.
+        const pathSchema = discriminatedSchema(_schema, upsertDocument(args[0], args[1]));
+        const objectSchema = rootObjectSchema(pathSchema);
+
+        validateArrayFilters(args[1], args[2]);
+
+        if (isUpsert && args[1].$setOnInsert) {
+          expandSetOnInsert(args[1]);
         }
-      } else if (isUpdate) {
-        Object.keys(args[1]).forEach((key) => {
+
+        for (const key of Object.keys(args[1])) {
+          operator = key;
+
           if (key === "$push" || key === "$addToSet") {
             const fields = Object.keys(args[1][key]);
 
-            fields.forEach((field) => {
-              const fieldSchema = schemaFromPath(_schema, field);
+            for (const field of fields) {
+              const fieldSchema = schemaFromPath(pathSchema, field);
 
               checkFieldExists(fieldSchema, field);
               checkFieldIsArray(fieldSchema, field);
 
-              const elementSchema = fieldSchema instanceof z.ZodArray ? fieldSchema.element : fieldSchema._def.innerType.element;
+              const elementSchema = arrayElementSchema(fieldSchema);
 
               if (args[1][key][field]?.["$each"]) {
                 const schema = z.object({
@@ -149,33 +417,45 @@ writeMethods.forEach(methodName => {
                   ]).optional(),
                 });
 
-                args[1][key][field] = schema.parse(args[1][key][field]);
+                args[1][key][field] = await schema.parseAsync(args[1][key][field], { path: field.split(".") });
               } else {
-                args[1][key][field] = elementSchema.parse(args[1][key][field]);
+                args[1][key][field] = await elementSchema.parseAsync(args[1][key][field], { path: field.split(".") });
               }
-            });
+            }
           } else if (key === "$pop") {
             const fields = Object.keys(args[1][key]);
 
             fields.forEach((field) => {
-              const fieldSchema = schemaFromPath(_schema, field);
+              const fieldSchema = schemaFromPath(pathSchema, field);
 
               checkFieldExists(fieldSchema, field);
               checkFieldIsArray(fieldSchema, field);
 
               if (![1, -1].includes(args[1][key][field])) {
                 throw new ValidationError([{
-                  name: key,
+                  name: field,
                   type: "invalid_array_pop_operation",
                   message: `${key} is not a valid array $pop operation. $pop value must be 1 or -1.`,
                 }], "Invalid array $pop operation");
               }
             });
+          } else if (key === "$pull") {
+            await validatePull(pathSchema, args[1][key]);
+          } else if (key === "$pullAll") {
+            await validatePullAll(pathSchema, args[1][key]);
+          } else if (key === "$currentDate") {
+            await validateCurrentDate(pathSchema, args[1][key]);
+          } else if (key === "$unset") {
+            validateUnset(pathSchema, args[1][key]);
+          } else if (key === "$rename") {
+            validateRename(pathSchema, args[1][key]);
+          } else if (numericOps.includes(key)) {
+            await validateNumericOps(collection, args, key, pathSchema);
           } else if (unsupportedOps.includes(key)) {
             // TODO: Support these operations
           } else {
-            const newValue = schemaToCheck.parse(args[1][key]);
-            const { validNestedFields, errors } = validateNestedFields(args[1][key], _schema);
+            const newValue = objectSchema ? await objectSchema.deepPartial().parseAsync(args[1][key]) : {};
+            const { validNestedFields, errors } = await validateNestedFields(args[1][key], pathSchema, { allFields: !objectSchema });
 
             if (errors.length > 0) {
               throw new ValidationError(errors, "Nested fields validation error");
@@ -183,104 +463,59 @@ writeMethods.forEach(methodName => {
 
             args[1][key] = Object.assign(newValue, validNestedFields);
           }
-        });
-      } else {
-        args[0] = schemaToCheck.parse(args[0]);
-      }
-    } catch (e) {
-      if (e instanceof z.ZodError) {
-        throw new ValidationError(e.issues?.map((err) => {
-          const { path = [], keys = [], code, ...rest } = err;
-          const fullPath = [...path, ...keys].join(".");
-
-          return {
-            name: fullPath,
-            type: code,
-            ...rest,
-          };
-        }), "Collection schema validation error");
-      }
-
-      throw e;
-    }
-
-    return method.apply(collection, args);
-  };
-});
+        }
 
+        operator = undefined;
 
-function schemaFromPath(schema, path) {
-  const pathSegments = path.split(".");
+        if (isUpsert) {
+          await validateUpsertDocument(collection, _schema, args);
+        }
 
-  // Traverse the schema by following the path segments
-  let currentSchema = schema;
+        // Refinements can only run on the whole document
+        if (hasRefinements(_schema) || _schemaOptions.validateFullDocument) {
+          await validateFullDocuments(collection, args, _schema);
+        }
+      } else {
+        args[0] = await _schema.parseAsync(expandDottedKeys(args[0]));
+      }
+    });
+  } catch (e) {
+    const errorContext = { operator, collection: _name || undefined };
 
-  for (const segment of pathSegments) {
-    if (currentSchema instanceof z.ZodObject) {
-      currentSchema = currentSchema.shape[segment];
-    } else if (currentSchema instanceof z.ZodOptional) {
-      currentSchema = currentSchema.unwrap().shape[segment];
-    } else {
-      return undefined; // Path does not exist or is not an object
+    if (e instanceof z.ZodError) {
+      throw new ValidationError(normalizeErrors(issuesToErrors(e.issues), errorContext), "Collection schema validation error");
     }
-  }
-
-  if (currentSchema instanceof z.ZodOptional) {
-    return currentSchema.unwrap();
-  }
 
-  // Check if the final field is an array
-  return currentSchema;
-}
+    if (ValidationError.is(e)) {
+      throw new ValidationError(normalizeErrors(e.details, errorContext), e.reason);
+    }
 
-function checkFieldExists(schema, field) {
-  if (!schema) {
-    throw new ValidationError([{
-      name: field,
-      type: "invalid_field",
-      message: `${field} does not exist`,
-    }], "Invalid field");
+    throw e;
   }
-}
-
-function checkFieldIsArray(schema, field) {
-  const fieldIsArray = schema instanceof z.ZodArray;
 
-  if (!fieldIsArray) {
-    throw new ValidationError([{
-      name: field,
-      type: "invalid_array_field",
-      message: `${field} is not a valid array`,
-    }], "Invalid array field");
-  }
+  return upgradedDocs;
 }
 
-function validateNestedFields(object, schema) {
-  const nestedFields = Object.keys(object).filter((key) => key.includes("."));
+async function validateNestedFields(object, schema, { allFields = false } = {}) {
+  const nestedFields = Object.keys(object).filter((key) => allFields || key.includes("."));
   const validNestedFields = {};
   const errors = [];
 
-  nestedFields.forEach((field) => {
+  for (const field of nestedFields) {
     const nestedSchema = schemaFromPath(schema, field);
 
     if (!nestedSchema) {
-      return;
+      continue;
     }
 
-    const { success, data, error } = nestedSchema.safeParse(object[field]);
+    const { success, data, error } = await nestedSchema.safeParseAsync(object[field], { path: field.split(".") });
 
     if (success) {
       validNestedFields[field] = data;
     } else {
-      error.issues.forEach((err) => {
-        errors.push({
-          name: field,
-          type: err.code,
-          message: err.message,
-        });
-      });
+      errors.push(...issuesToErrors(error.issues));
     }
-  });
+  }
 
   return { validNestedFields, errors };
-}
\ No newline at end of file
+}
@@ -0,0 +1,48 @@
+import { selectorObject } from "./utils/selectorObject";
+import { getUserId } from "./extendWithUser";
+
+
+// Adds the isDeleted filter to the selector of a read method. Use the
+// withDeleted option to get all the documents or onlyDeleted to get only the
+// soft deleted ones. An explicit isDeleted in the selector is respected.
+export function extendWithSoftDelete(args, { isDeletedField = "isDeleted" } = {}) {
+  const { withDeleted, onlyDeleted, ...options } = args[1] || {};
+
+  if (args.length > 1) {
+    args[1] = options;
+  }
+
+  // Meteor matches no document for a falsy selector, keep it that way
+  if (withDeleted || (args.length > 0 && !args[0])) {
+    return;
+  }
+
+  const selector = selectorObject(args[0]);
+
+  if (isDeletedField in selector) {
+    return;
+  }
+
+  args[0] = {
+    ...selector,
+    [isDeletedField]: onlyDeleted ? true : { $ne: true },
+  };
+}
+
+// The modifier that soft deletes the documents instead of removing them. The
+// restore fields of a previous recoverAsync are unset.
+export function softDeleteModifier({ isDeletedField, deletedAtField, deletedByField, restoredAtField, restoredByField }) {
+  const userId = getUserId();
+
+  return {
+    $unset: {
+      [restoredAtField]: true,
+      [restoredByField]: true,
+    },
+    $set: {
+      [isDeletedField]: true,
+      [deletedAtField]: new Date(),
+      ...(userId && { [deletedByField]: userId }),
+    },
+  };
+}
@@ -1,10 +1,21 @@
-export function extendWithUser(args, { isUpsert, isUpdate } = {}) {
-  let userId;
+import { serverOnly } from "./utils/serverOnly";
 
-  try {
-    userId = Meteor.userId();
-  } catch {
-    // no userId in context
+
+// The user of the connection, only known on the server
+export function getUserId() {
+  return serverOnly.getUserId?.();
+}
+
+// The user fields are filled on the server, client writes are left as they are
+export function extendWithUser(args, { isUpsert, isUpdate, trackUpdates, userIdField = "userId", updatedByField = "updatedBy" } = {}) {
+  if (!serverOnly.getUserId) {
+    return;
+  }
+
+  const userId = getUserId();
+
+  if (trackUpdates) {
+    extendWithUpdatedBy(args, userId, { isUpdate, updatedByField });
   }
 
   if (!userId) {
@@ -13,10 +24,32 @@ export function extendWithUser(args, { isUpsert, isUpdate } = {}) {
 
   if (isUpsert) {
     args[1]["$setOnInsert"] = args[1]["$setOnInsert"] || {};
-    args[1]["$setOnInsert"].userId = userId;
+    args[1]["$setOnInsert"][userIdField] = userId;
+    delete args[1]["$set"]?.[userIdField];
   } else if (isUpdate) {
-    delete args[1]["$set"]?.userId;
+    delete args[1]["$set"]?.[userIdField];
   } else {
-    args[0].userId = userId;
+    args[0][userIdField] = userId;
+  }
+}
+
+// Keeps updatedBy pointing to the last user that modified the document. When
+// there is no user in context it is unset, so it never outlives the
+// updatedAt of a change made by someone else.
+function extendWithUpdatedBy(args, userId, { isUpdate, updatedByField }) {
+  if (!isUpdate) {
+    if (userId) {
+      args[0][updatedByField] = userId;
+    }
+
+    return;
+  }
+
+  if (userId) {
+    args[1]["$set"] = args[1]["$set"] || {};
+    args[1]["$set"][updatedByField] = userId;
+  } else if (!args[1]["$set"]?.[updatedByField]) {
+    args[1]["$unset"] = args[1]["$unset"] || {};
+    args[1]["$unset"][updatedByField] = true;
   }
-}
\ No newline at end of file
+}
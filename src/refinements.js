@@ -0,0 +1,45 @@
+import { validationContext } from "./utils/validationContext";
+import { serverOnly } from "./utils/serverOnly";
+
+
+// Async refinements that query the database, use them with superRefine:
+// z.string().email().superRefine(unique())
+// z.string().superRefine(references(Projects))
+// They only run on the server, the client only has the published documents,
+// and they are skipped when documents are read.
+
+// Fails when another document of the collection has the same value. The
+// documents matched by the selector of the update don't count, unless a multi
+// update would write the value to more than one of them. Pass a collection to
+// check the value in another collection.
+export function unique(collection, { message } = {}) {
+  return (value, ctx) => {
+    const context = validationContext.get();
+    const targetCollection = collection || context?.collection;
+
+    if (skipDatabaseCheck(serverOnly.checkUnique) || !targetCollection || value === undefined || value === null) {
+      return;
+    }
+
+    return serverOnly.checkUnique(targetCollection, context, value, ctx, message);
+  };
+}
+
+// Fails when no document of the target collection has the value, by default
+// in its _id. Arrays check every value.
+export function references(collection, { field = "_id", message } = {}) {
+  return (value, ctx) => {
+    if (skipDatabaseCheck(serverOnly.checkReferences) || value === undefined || value === null) {
+      return;
+    }
+
+    return serverOnly.checkReferences(collection, field, value, ctx, message);
+  };
+}
+
+// The checks are only registered on the server. They return synchronously
+// when they are skipped, so read validation, which parses synchronously, can
+// use schemas that have them.
+function skipDatabaseCheck(check) {
+  return !check || validationContext.get()?.read;
+}
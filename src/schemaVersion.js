@@ -0,0 +1,37 @@
+// Stores the current schema version on the inserted documents, updated
+// documents are upgraded to it before the update runs.
+export function extendWithSchemaVersion(args, { isUpsert, isUpdate, version, versionField }) {
+  if (isUpsert) {
+    args[1]["$setOnInsert"] = args[1]["$setOnInsert"] || {};
+    args[1]["$setOnInsert"][versionField] = version;
+  } else if (!isUpdate) {
+    args[0][versionField] = version;
+  }
+}
+
+// Runs the migrations between the version of the document and the current
+// one, in order. The migrations are keyed by the version they upgrade to and
+// documents without a version are at version 0.
+export function upgradeDocument(doc, { version, migrations = {}, versionField }) {
+  const docVersion = doc[versionField] ?? 0;
+
+  if (docVersion >= version) {
+    return doc;
+  }
+
+  const upgradedDoc = Object.keys(migrations)
+    .map(Number)
+    .filter((target) => target > docVersion && target <= version)
+    .sort((a, b) => a - b)
+    .reduce((currentDoc, target) => migrations[target](currentDoc), doc);
+
+  return { ...upgradedDoc, _id: doc._id, [versionField]: version };
+}
+
+// Writes the upgraded documents as the migrations return them, the fields
+// unknown to the schema are kept.
+export async function writeUpgradedDocuments(collection, upgradedDocs) {
+  for (const upgradedDoc of upgradedDocs) {
+    await collection.updateAsync(upgradedDoc._id, upgradedDoc, { skipSchema: true });
+  }
+}
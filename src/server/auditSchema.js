@@ -0,0 +1,91 @@
+import { EJSON } from "meteor/ejson";
+
+import { validationContext } from "../utils/validationContext";
+import { issuesToErrors, normalizeErrors } from "../utils/errorDetails";
+
+
+// Checks every document of the collection against its schema and reports the
+// ones that fail, with the same details a ValidationError would have.
+export async function auditSchema(collection, { limit, batchSize = 1000 } = {}) {
+  const invalid = [];
+
+  const checked = await forEachBatch(collection, { limit, batchSize }, async (doc) => {
+    const { success, errors } = await validateDocument(collection, doc);
+
+    if (!success) {
+      invalid.push({ _id: doc._id, errors });
+    }
+  });
+
+  return { checked, invalid };
+}
+
+// Rewrites the documents that fail the schema with the result of transform.
+// The transformed documents are validated before being written, the ones that
+// still fail are reported and left untouched. They are written as transform
+// returns them, not as the schema parses them, so fields unknown to the
+// schema are kept. With dryRun nothing is written.
+export async function migrate(collection, transform, { limit, batchSize = 1000, dryRun = false } = {}) {
+  const migrated = [];
+  const failed = [];
+
+  const checked = await forEachBatch(collection, { limit, batchSize }, async (doc) => {
+    if ((await validateDocument(collection, doc)).success) {
+      return;
+    }
+
+    const newDoc = { ...await transform(EJSON.clone(doc)), _id: doc._id };
+    const { success, errors } = await validateDocument(collection, newDoc);
+
+    if (!success) {
+      failed.push({ _id: doc._id, errors });
+      return;
+    }
+
+    if (!dryRun) {
+      await collection.updateAsync(doc._id, newDoc, { skipSchema: true });
+    }
+
+    migrated.push(doc._id);
+  });
+
+  return { checked, migrated, failed, dryRun };
+}
+
+// Fetches the documents sorted by _id, batchSize at a time, so the collection
+// is never loaded in memory at once. Soft deleted documents are included.
+async function forEachBatch(collection, { limit, batchSize }, callback) {
+  let checked = 0;
+  let lastId;
+
+  while (!limit || checked < limit) {
+    const size = limit ? Math.min(batchSize, limit - checked) : batchSize;
+    const selector = lastId === undefined ? {} : { _id: { $gt: lastId } };
+    const docs = await collection.find(selector, { sort: { _id: 1 }, limit: size, withDeleted: true, skipSchema: true }).fetchAsync();
+
+    for (const doc of docs) {
+      await callback(doc);
+    }
+
+    checked += docs.length;
+
+    if (docs.length < size) {
+      break;
+    }
+
+    lastId = docs[docs.length - 1]._id;
+  }
+
+  return checked;
+}
+
+async function validateDocument(collection, doc) {
+  // unique() must not find the document itself
+  const context = { collection, selector: doc._id };
+  const { success, error } = await validationContext.withValue(context, () => collection._schema.safeParseAsync(doc));
+
+  return {
+    success,
+    errors: error && normalizeErrors(issuesToErrors(error.issues), { collection: collection._name || undefined }),
+  };
+}
@@ -0,0 +1,25 @@
+import { MongoInternals } from "meteor/mongo";
+
+import { serverOnly } from "../utils/serverOnly";
+import { checkReferences, checkUnique } from "./refinements";
+import { upgradeDocuments } from "./schemaVersion";
+import "./maintenance";
+
+
+Object.assign(serverOnly, {
+  checkUnique,
+  checkReferences,
+  upgradeDocuments,
+  getUserId() {
+    try {
+      return Meteor.userId();
+    } catch {
+      // no userId in context
+    }
+  },
+  createTimestamp() {
+    const { Timestamp } = MongoInternals.NpmModules.mongodb.module;
+
+    return new Timestamp({ t: 0, i: 0 });
+  },
+});
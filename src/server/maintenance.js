@@ -0,0 +1,51 @@
+import { Mongo } from "meteor/mongo";
+
+import { auditSchema, migrate } from "./auditSchema";
+import { checkSchemaSet, checkSoftDeleteEnabled } from "../utils/collectionChecks";
+
+
+// Maintenance methods work on the whole collection, they replace the ones
+// that throw SERVER_ONLY on the client, where only the published documents are.
+Object.assign(Mongo.Collection.prototype, {
+  // Permanently removes the soft deleted documents, only the ones deleted
+  // before olderThan when it is given.
+  async purgeDeletedAsync({ olderThan } = {}) {
+    checkSoftDeleteEnabled(this);
+
+    const { isDeletedField, deletedAtField } = this._softDeleteOptions;
+    const selector = { [isDeletedField]: true };
+
+    if (olderThan) {
+      selector[deletedAtField] = { $lt: olderThan };
+    }
+
+    return await this.forceRemoveAsync(selector);
+  },
+  // Purges the documents deleted more than retentionDays ago. Meant to be run
+  // periodically by a server job.
+  async enforceRetentionAsync() {
+    checkSoftDeleteEnabled(this);
+
+    const { retentionDays } = this._softDeleteOptions;
+
+    if (!retentionDays) {
+      throw new Meteor.Error(
+        "RETENTION_DISABLED",
+        "No retention policy is set for this collection. Use withSoftDelete({ retentionDays }).");
+    }
+
+    const olderThan = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+    return await this.purgeDeletedAsync({ olderThan });
+  },
+  async auditSchemaAsync(options) {
+    checkSchemaSet(this);
+
+    return await auditSchema(this, options);
+  },
+  async migrateAsync(transform, options) {
+    checkSchemaSet(this);
+
+    return await migrate(this, transform, options);
+  },
+});
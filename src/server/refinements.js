@@ -0,0 +1,75 @@
+import { EJSON } from "meteor/ejson";
+
+import { selectorObject } from "../utils/selectorObject";
+
+
+// The database queries of unique() and references(), see src/refinements.js
+export async function checkUnique(targetCollection, context, value, ctx, message) {
+  const field = fieldFromPath(ctx.path);
+  const query = { [field]: value };
+  const findOptions = { fields: { _id: 1 }, withDeleted: true };
+  const notUniqueIssue = {
+    code: "custom",
+    message: message || `${field} must be unique`,
+    params: { type: "not_unique" },
+  };
+
+  if (context?.batch && targetCollection === context.collection && claimedInBatch(context, field, value)) {
+    ctx.addIssue(notUniqueIssue);
+
+    return;
+  }
+
+  if (context?.selector && targetCollection === context.collection) {
+    if (context.multi && (await targetCollection.find(context.selector, { ...findOptions, limit: 2 }).fetchAsync()).length > 1) {
+      ctx.addIssue(notUniqueIssue);
+
+      return;
+    }
+
+    query.$nor = [selectorObject(context.selector)];
+  }
+
+  if (await targetCollection.findOneAsync(query, findOptions)) {
+    ctx.addIssue(notUniqueIssue);
+  }
+}
+
+export async function checkReferences(collection, field, value, ctx, message) {
+  for (const item of Array.isArray(value) ? value : [value]) {
+    const doc = await collection.findOneAsync({ [field]: item }, { fields: { _id: 1 } });
+
+    if (!doc) {
+      ctx.addIssue({
+        code: "custom",
+        message: message || `${fieldFromPath(ctx.path)} references a document that does not exist`,
+        params: { type: "reference_not_found" },
+      });
+
+      return;
+    }
+  }
+}
+
+// The earlier operations of a bulkWriteAsync batch are not in the database yet,
+// the batch keeps the value each operation writes. Operations with the same
+// selector write to the same documents, so they don't conflict.
+function claimedInBatch({ batch, selector }, field, value) {
+  const owner = selector === undefined ? `index:${batch.index}` : EJSON.stringify(selectorObject(selector), { canonical: true });
+  const key = `${field}:${EJSON.stringify(value, { canonical: true })}`;
+  const claimedBy = batch.uniqueValues.get(key);
+
+  if (claimedBy === undefined) {
+    batch.uniqueValues.set(key, owner);
+
+    return false;
+  }
+
+  return claimedBy !== owner;
+}
+
+// Mongo queries array fields by the field itself, the indexes and positional
+// segments are removed.
+function fieldFromPath(path) {
+  return path.filter((segment) => typeof segment === "string" && !/^(\d+|\$.*)$/.test(segment)).join(".");
+}
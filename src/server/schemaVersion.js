@@ -0,0 +1,24 @@
+import { selectorObject } from "../utils/selectorObject";
+import { upgradeDocument } from "../schemaVersion";
+
+
+// Upgrades the documents matched by an update that are at an older version.
+// The upgraded documents must match the full schema. They are returned, not
+// written, so nothing changes until the whole write is valid.
+export async function upgradeDocuments(collection, args, { version, migrations, versionField }) {
+  const [selector, , options = {}] = args;
+  const outdatedSelector = { $and: [selectorObject(selector), { [versionField]: { $not: { $gte: version } } }] };
+  const findOptions = { withDeleted: true, skipSchema: true };
+  // A single update writes to the first match, which is only upgraded when
+  // it is outdated
+  const docs = options.multi ?
+    await collection.find(outdatedSelector, findOptions).fetchAsync() :
+    [await collection.findOneAsync(selector, findOptions)].filter((doc) => doc && (doc[versionField] ?? 0) < version);
+  const upgradedDocs = docs.map((doc) => upgradeDocument(doc, { version, migrations, versionField }));
+
+  for (const upgradedDoc of upgradedDocs) {
+    await collection._schema.parseAsync(upgradedDoc);
+  }
+
+  return upgradedDocs;
+}
@@ -0,0 +1,15 @@
+export function checkSchemaSet(collection) {
+  if (!collection._schema) {
+    throw new Meteor.Error(
+      "SCHEMA_NOT_SET",
+      "No schema is set for this collection. Use withSchema(schema).");
+  }
+}
+
+export function checkSoftDeleteEnabled(collection) {
+  if (!collection._softDelete) {
+    throw new Meteor.Error(
+      "SOFT_DELETE_DISABLED",
+      "Soft delete is not enabled for this collection.");
+  }
+}
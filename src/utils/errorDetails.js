@@ -0,0 +1,55 @@
+import { ValidationError } from "../ValidationError";
+
+
+// Turns zod issues into ValidationError details. The issue specific values
+// (minimum, options...) are kept in params. Custom issues can carry their own
+// error type, ex. unique() reports "not_unique".
+export function issuesToErrors(issues) {
+  return issues.map(({ path, code, message, keys = [], params = {}, expected, received, ...rest }) => {
+    // unionErrors holds the issues of every union member, they are not details
+    delete rest.unionErrors;
+    delete rest.fatal;
+
+    const detailParams = { ...rest, ...params };
+
+    if (expected !== undefined && typeof expected !== "string") {
+      detailParams.expected = expected;
+    }
+
+    if (received !== undefined && typeof received !== "string") {
+      detailParams.received = received;
+    }
+
+    return {
+      name: [...path, ...keys].join("."),
+      path: [...path, ...keys],
+      type: params.type || code,
+      message,
+      ...(typeof expected === "string" && { expected }),
+      ...(typeof received === "string" && { received }),
+      ...(Object.keys(detailParams).length > 0 && { params: detailParams }),
+    };
+  });
+}
+
+// Gives every detail the same shape: the dotted name and the path array of the
+// field, the error type, the operator and collection of the write, and the
+// message returned by ValidationError.formatMessage.
+export function normalizeErrors(errors, { operator, collection } = {}) {
+  return errors.map((error) => {
+    const detail = {
+      ...error,
+      path: (error.path || (error.name ? error.name.split(".") : [])).map(pathSegment),
+      ...((error.operator || operator) && { operator: error.operator || operator }),
+      ...(collection && { collection }),
+    };
+
+    return { ...detail, message: ValidationError.formatMessage(detail) };
+  });
+}
+
+// Array indexes are numbers in the path, like zod reports them, also when the
+// path comes from a dotted name
+function pathSegment(segment) {
+  return typeof segment === "string" && /^\d+$/.test(segment) ? Number(segment) : segment;
+}
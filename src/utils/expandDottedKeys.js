@@ -0,0 +1,56 @@
+import { ValidationError } from "../ValidationError";
+
+
+// Turns the dot notation keys of a document into nested objects, ex.
+// { "meta.views": 1 } => { meta: { views: 1 } }. The document is not mutated.
+export function expandDottedKeys(doc) {
+  const expandedDoc = {};
+  const errors = [];
+  // Plain keys go first so the dotted keys are merged into their objects
+  const keys = Object.keys(doc).sort((a, b) => a.includes(".") - b.includes("."));
+
+  keys.forEach((key) => {
+    if (!key.includes(".")) {
+      expandedDoc[key] = doc[key];
+      return;
+    }
+
+    const pathSegments = key.split(".");
+    const lastSegment = pathSegments.pop();
+    let parent = expandedDoc;
+
+    for (const [index, segment] of pathSegments.entries()) {
+      if (parent[segment] === undefined) {
+        parent[segment] = {};
+      } else if (parent[segment]?.constructor !== Object) {
+        errors.push(conflictError(key, `${key} conflicts with ${pathSegments.slice(0, index + 1).join(".")}, it is not an object`));
+        return;
+      } else {
+        parent[segment] = { ...parent[segment] };
+      }
+
+      parent = parent[segment];
+    }
+
+    if (lastSegment in parent) {
+      errors.push(conflictError(key, `${key} is set more than once`));
+      return;
+    }
+
+    parent[lastSegment] = doc[key];
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors, "Dotted keys conflict");
+  }
+
+  return expandedDoc;
+}
+
+function conflictError(key, message) {
+  return {
+    name: key,
+    type: "dotted_key_conflict",
+    message,
+  };
+}
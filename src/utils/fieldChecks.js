@@ -0,0 +1,59 @@
+import { z } from "zod";
+
+import { unwrapSchema } from "./schemaFromPath";
+import { ValidationError } from "../ValidationError";
+import { issuesToErrors } from "./errorDetails";
+
+
+export function checkFieldExists(schema, field) {
+  if (!schema) {
+    throw new ValidationError([{
+      name: field,
+      type: "invalid_field",
+      message: `${field} does not exist`,
+    }], "Invalid field");
+  }
+}
+
+export function checkFieldIsArray(schema, field) {
+  const fieldSchema = unwrapSchema(schema);
+  const fieldIsArray = fieldSchema instanceof z.ZodArray;
+
+  if (!fieldIsArray) {
+    throw new ValidationError([{
+      name: field,
+      type: "invalid_array_field",
+      message: `${field} is not a valid array`,
+    }], "Invalid array field");
+  }
+
+  return fieldSchema;
+}
+
+export function checkFieldIsNumber(schema, field, { allowDates = false } = {}) {
+  const fieldSchema = unwrapSchema(schema);
+  const fieldIsNumber = fieldSchema instanceof z.ZodNumber || (allowDates && fieldSchema instanceof z.ZodDate);
+
+  if (!fieldIsNumber) {
+    throw new ValidationError([{
+      name: field,
+      type: "invalid_number_field",
+      message: `${field} is not a valid number`,
+    }], "Invalid number field");
+  }
+
+  return fieldSchema;
+}
+
+// Parses a single field value and reports the issues under the field name.
+// The field path is given to zod so refinements see the full path in ctx.path.
+export async function parseField(schema, value, field) {
+  const { success, data, error } = await schema.safeParseAsync(value, { path: field.split(".") });
+
+  if (!success) {
+    throw new ValidationError(issuesToErrors(error.issues), "Collection schema validation error");
+  }
+
+  return data;
+}
+
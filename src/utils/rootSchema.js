@@ -0,0 +1,103 @@
+import { z } from "zod";
+
+
+// Adds fields to every object of a root schema. Refinements and transforms are
+// kept, and unions and intersections get the fields on each of their members.
+export function extendSchema(schema, fields) {
+  if (schema instanceof z.ZodObject) {
+    return schema.extend(fields);
+  }
+
+  if (schema instanceof z.ZodEffects) {
+    return new z.ZodEffects({ ...schema._def, schema: extendSchema(schema._def.schema, fields) });
+  }
+
+  if (schema instanceof z.ZodDiscriminatedUnion) {
+    return z.discriminatedUnion(schema.discriminator, schema.options.map((option) => extendSchema(option, fields)));
+  }
+
+  if (schema instanceof z.ZodUnion) {
+    return z.union(schema.options.map((option) => extendSchema(option, fields)));
+  }
+
+  if (schema instanceof z.ZodIntersection) {
+    return z.intersection(extendSchema(schema._def.left, fields), schema._def.right);
+  }
+
+  throw new Meteor.Error(
+    "UNSUPPORTED_SCHEMA",
+    `${schema._def.typeName} root schemas can't be extended, use an object, union, intersection or effects schema.`);
+}
+
+// Returns the object schema used to validate the fields of an update. Effects
+// are removed, their refinements need the whole document. Unions have no
+// single object schema, their fields are validated one by one.
+export function rootObjectSchema(schema) {
+  if (schema instanceof z.ZodObject) {
+    return schema;
+  }
+
+  if (schema instanceof z.ZodEffects) {
+    return rootObjectSchema(schema.innerType());
+  }
+
+  if (schema instanceof z.ZodIntersection) {
+    const left = rootObjectSchema(schema._def.left);
+    const right = rootObjectSchema(schema._def.right);
+
+    return left && right ? left.merge(right) : undefined;
+  }
+
+  return undefined;
+}
+
+// Makes every field of a root schema optional, nested objects included.
+// Refinements and transforms are removed, they need the whole document.
+export function partialSchema(schema) {
+  if (schema instanceof z.ZodObject) {
+    return schema.deepPartial();
+  }
+
+  if (schema instanceof z.ZodEffects) {
+    return partialSchema(schema.innerType());
+  }
+
+  // The discriminator becomes optional, so it is a plain union of the members
+  if (schema instanceof z.ZodUnion || schema instanceof z.ZodDiscriminatedUnion) {
+    return z.union(schema.options.map(partialSchema));
+  }
+
+  if (schema instanceof z.ZodIntersection) {
+    return z.intersection(partialSchema(schema._def.left), partialSchema(schema._def.right));
+  }
+
+  return schema;
+}
+
+// Picks the member of a discriminated union root schema matching the
+// discriminator value of the document, if it is known.
+export function discriminatedSchema(schema, doc = {}) {
+  const unionSchema = schema instanceof z.ZodEffects ? schema.innerType() : schema;
+
+  if (!(unionSchema instanceof z.ZodDiscriminatedUnion)) {
+    return schema;
+  }
+
+  return unionSchema.optionsMap.get(doc[unionSchema.discriminator]) || schema;
+}
+
+export function hasRefinements(schema) {
+  if (schema instanceof z.ZodEffects) {
+    return true;
+  }
+
+  if (schema instanceof z.ZodIntersection) {
+    return hasRefinements(schema._def.left) || hasRefinements(schema._def.right);
+  }
+
+  if (schema instanceof z.ZodUnion || schema instanceof z.ZodDiscriminatedUnion) {
+    return schema.options.some(hasRefinements);
+  }
+
+  return false;
+}
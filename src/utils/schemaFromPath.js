@@ -0,0 +1,127 @@
+import { z } from "zod";
+
+
+// Numeric indexes and the positional operators ($, $[] and $[identifier]) all
+// step into the array elements.
+const arraySegmentRegex = /^(\d+|\$|\$\[\w*\])$/;
+// Positional operators that point to elements matched by the query or by the
+// arrayFilters, the actual elements are unknown until Mongo runs the update.
+const matchedSegmentRegex = /^(\$|\$\[\w+\])$/;
+
+// Removes the optional, nullable, default and effects (refine, transform...)
+// wrappers so the underlying type of a field can be inspected.
+export function unwrapSchema(schema) {
+  let currentSchema = schema;
+
+  while (
+    currentSchema instanceof z.ZodOptional ||
+    currentSchema instanceof z.ZodNullable ||
+    currentSchema instanceof z.ZodDefault ||
+    currentSchema instanceof z.ZodEffects
+  ) {
+    if (currentSchema instanceof z.ZodDefault) {
+      currentSchema = currentSchema.removeDefault();
+    } else if (currentSchema instanceof z.ZodEffects) {
+      currentSchema = currentSchema.innerType();
+    } else {
+      currentSchema = currentSchema.unwrap();
+    }
+  }
+
+  return currentSchema;
+}
+
+// Returns the schema of the field at the given dot notation path. The optional
+// wrapper of the field itself is removed unless keepOptional is set.
+export function schemaFromPath(schema, path, { keepOptional = false } = {}) {
+  const pathSegments = path.split(".");
+
+  // Traverse the schema by following the path segments
+  let currentSchema = schema;
+
+  for (const segment of pathSegments) {
+    const unwrappedSchema = unwrapSchema(currentSchema);
+
+    if (unwrappedSchema instanceof z.ZodObject) {
+      currentSchema = unwrappedSchema.shape[segment];
+    } else if (unwrappedSchema instanceof z.ZodArray && arraySegmentRegex.test(segment)) {
+      currentSchema = unwrappedSchema.element;
+    } else if (unwrappedSchema instanceof z.ZodUnion || unwrappedSchema instanceof z.ZodDiscriminatedUnion) {
+      currentSchema = combineCandidates(unwrappedSchema.options, segment, (candidates) => z.union(candidates));
+    } else if (unwrappedSchema instanceof z.ZodIntersection) {
+      currentSchema = combineCandidates([unwrappedSchema._def.left, unwrappedSchema._def.right], segment, ([left, right]) => z.intersection(left, right));
+    } else {
+      return undefined; // Path does not exist or is not an object
+    }
+  }
+
+  if (currentSchema instanceof z.ZodOptional && !keepOptional) {
+    return currentSchema.unwrap();
+  }
+
+  return currentSchema;
+}
+
+// The field of a union or intersection can come from several members. Without
+// a discriminator value to pick one, the value must match any of the members
+// that have the field (or all of them for intersections).
+function combineCandidates(schemas, segment, combine) {
+  const candidates = schemas
+    .map((schema) => schemaFromPath(schema, segment, { keepOptional: true }))
+    .filter(Boolean);
+
+  if (candidates.length <= 1) {
+    return candidates[0];
+  }
+
+  return combine(candidates);
+}
+
+export function arrayElementSchema(schema) {
+  return unwrapSchema(schema).element;
+}
+
+export function hasMatchedSegments(path) {
+  return path.split(".").some((segment) => matchedSegmentRegex.test(segment));
+}
+
+// Removes the numeric indexes and positional operators of a path, ex.
+// "items.$.sku" becomes "items.sku".
+export function stripArraySegments(path) {
+  return path.split(".").filter((segment) => !arraySegmentRegex.test(segment)).join(".");
+}
+
+// Returns the identifiers of the $[identifier] segments of a path.
+export function arrayFilterIdentifiers(path) {
+  return path.split(".")
+    .map((segment) => segment.match(/^\$\[(\w+)\]$/)?.[1])
+    .filter(Boolean);
+}
+
+// Returns the values at the given path, $[] expands to every array element.
+export function valuesFromPath(doc, path) {
+  return path.split(".").reduce((values, segment) => {
+    if (segment === "$[]") {
+      return values.flatMap((value) => (Array.isArray(value) ? value : []));
+    }
+
+    return values.map((value) => value?.[segment]);
+  }, [doc]);
+}
+
+// Sets a value at the given dot notation path creating the missing objects.
+export function setValueAtPath(doc, path, value) {
+  const pathSegments = path.split(".");
+  const lastSegment = pathSegments.pop();
+  const parent = pathSegments.reduce((current, segment) => {
+    if (current[segment] === null || typeof current[segment] !== "object") {
+      current[segment] = {};
+    }
+
+    return current[segment];
+  }, doc);
+
+  parent[lastSegment] = value;
+
+  return doc;
+}
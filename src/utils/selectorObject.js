@@ -0,0 +1,11 @@
+import { Mongo } from "meteor/mongo";
+
+
+// Selectors can be a document _id, turn them into a selector object.
+export function selectorObject(selector) {
+  if (typeof selector === "string" || selector instanceof Mongo.ObjectID) {
+    return { _id: selector };
+  }
+
+  return selector || {};
+}
@@ -0,0 +1,5 @@
+// Implementations that need the server: the database queries of unique() and
+// references(), the user of the connection, the Timestamp type and the schema
+// version upgrades. src/server registers them, on the client they are missing
+// and the checks that use them are skipped.
+export const serverOnly = {};
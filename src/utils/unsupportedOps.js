@@ -1,15 +1,3 @@
 export const unsupportedOps = [
-  "$inc",
-  "$mul",
-  "$min",
-  "$max",
-  "$unset",
-  "$rename",
-  "$currentDate",
-
-  "$",
-  "$[]",
-  "$pull",
-  "$pullAll",
   "$bit",
 ];
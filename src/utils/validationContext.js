@@ -0,0 +1,3 @@
+// The collection and selector of the write being validated, async refinements
+// like unique() read them to query the database.
+export const validationContext = new Meteor.EnvironmentVariable();
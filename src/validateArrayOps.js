@@ -0,0 +1,86 @@
+import { z } from "zod";
+
+import { ValidationError } from "./ValidationError";
+import { arrayElementSchema, arrayFilterIdentifiers, schemaFromPath, unwrapSchema } from "./utils/schemaFromPath";
+import { checkFieldExists, checkFieldIsArray, parseField } from "./utils/fieldChecks";
+
+
+export async function validatePullAll(schema, fields) {
+  for (const field of Object.keys(fields)) {
+    const fieldSchema = schemaFromPath(schema, field);
+
+    checkFieldExists(fieldSchema, field);
+    checkFieldIsArray(fieldSchema, field);
+
+    fields[field] = await parseField(z.array(arrayElementSchema(fieldSchema)), fields[field], field);
+  }
+}
+
+// $pull values are conditions, not elements. Only literal values are checked
+// against the element schema and the condition itself is left untouched.
+export async function validatePull(schema, fields) {
+  for (const field of Object.keys(fields)) {
+    const fieldSchema = schemaFromPath(schema, field);
+
+    checkFieldExists(fieldSchema, field);
+    checkFieldIsArray(fieldSchema, field);
+
+    await validatePullCondition(arrayElementSchema(fieldSchema), fields[field], field);
+  }
+}
+
+async function validatePullCondition(elementSchema, condition, field) {
+  if (isOperatorObject(condition)) {
+    for (const [operator, value] of Object.entries(condition)) {
+      if (operator === "$in" || operator === "$nin") {
+        await parseField(z.array(elementSchema), value, field);
+      } else if (operator === "$eq" || operator === "$ne") {
+        await parseField(elementSchema, value, field);
+      }
+    }
+  } else if (unwrapSchema(elementSchema) instanceof z.ZodObject && isPlainObject(condition)) {
+    // A query on the fields of the array elements, ex. { tags: { name: "tag1" } }
+    for (const [key, value] of Object.entries(condition)) {
+      const subFieldSchema = schemaFromPath(elementSchema, key);
+
+      checkFieldExists(subFieldSchema, `${field}.${key}`);
+      await validatePullCondition(subFieldSchema, value, `${field}.${key}`);
+    }
+  } else {
+    await parseField(elementSchema, condition, field);
+  }
+}
+
+function isPlainObject(value) {
+  return value?.constructor === Object;
+}
+
+function isOperatorObject(value) {
+  return isPlainObject(value) && Object.keys(value).some((key) => key.startsWith("$"));
+}
+
+// Every $[identifier] used in the modifier must have a matching filter in the
+// arrayFilters option, ex. { arrayFilters: [{ "item.qty": { $lte: 0 } }] }
+export function validateArrayFilters(modifier, options = {}) {
+  const { arrayFilters = [] } = options;
+  const definedIdentifiers = arrayFilters.flatMap((filter) => Object.keys(filter).map((key) => key.split(".")[0]));
+  const errors = [];
+
+  Object.values(modifier).forEach((fields) => {
+    Object.keys(fields || {}).forEach((field) => {
+      arrayFilterIdentifiers(field).forEach((identifier) => {
+        if (!definedIdentifiers.includes(identifier)) {
+          errors.push({
+            name: field,
+            type: "invalid_array_filter",
+            message: `No array filter found for identifier ${identifier} in ${field}`,
+          });
+        }
+      });
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors, "Invalid array filters");
+  }
+}
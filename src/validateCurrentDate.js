@@ -0,0 +1,46 @@
+import { z } from "zod";
+
+import { ValidationError } from "./ValidationError";
+import { schemaFromPath, unwrapSchema } from "./utils/schemaFromPath";
+import { checkFieldExists } from "./utils/fieldChecks";
+import { serverOnly } from "./utils/serverOnly";
+
+
+// $currentDate sets a Date by default, or a Timestamp when { $type: "timestamp" }
+// is used, so the field schema must accept that type.
+export async function validateCurrentDate(schema, fields) {
+  for (const [field, value] of Object.entries(fields)) {
+    const fieldSchema = schemaFromPath(schema, field);
+
+    checkFieldExists(fieldSchema, field);
+
+    if (value === true || value?.$type === "date") {
+      if (!(unwrapSchema(fieldSchema) instanceof z.ZodDate)) {
+        throw new ValidationError([{
+          name: field,
+          type: "invalid_date_field",
+          message: `${field} is not a valid date`,
+        }], "Invalid date field");
+      }
+    } else if (value?.$type === "timestamp") {
+      // The Timestamp type is only available on the server
+      if (!serverOnly.createTimestamp) {
+        continue;
+      }
+
+      if (!(await fieldSchema.safeParseAsync(serverOnly.createTimestamp())).success) {
+        throw new ValidationError([{
+          name: field,
+          type: "invalid_timestamp_field",
+          message: `${field} is not a valid timestamp`,
+        }], "Invalid timestamp field");
+      }
+    } else {
+      throw new ValidationError([{
+        name: field,
+        type: "invalid_current_date_operation",
+        message: `${field} is not a valid $currentDate operation. $currentDate value must be true, { $type: "date" } or { $type: "timestamp" }.`,
+      }], "Invalid $currentDate operation");
+    }
+  }
+}
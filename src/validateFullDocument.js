@@ -0,0 +1,84 @@
+import { LocalCollection, Minimongo } from "meteor/minimongo";
+
+import { ValidationError } from "./ValidationError";
+import { selectorObject } from "./utils/selectorObject";
+import { issuesToErrors } from "./utils/errorDetails";
+import { validationContext } from "./utils/validationContext";
+import { upgradeDocument } from "./schemaVersion";
+
+
+// Validates the documents as they will be after the update. The affected
+// documents are fetched and the modifier is applied in memory with minimongo,
+// so the full schema, refinements included, can run before anything is
+// written. Each error has the docId of the document that fails.
+export async function validateFullDocuments(collection, args, schema) {
+  const [selector, modifier, options = {}] = args;
+  const matcher = selectorMatcher(selector);
+
+  // Selectors minimongo can't compile ($text, $expr...) can't be simulated
+  if (!matcher) {
+    return;
+  }
+
+  // The stored documents are validated as they are, not as reads return them
+  const findOptions = { withDeleted: true, skipSchema: true };
+  const storedDocs = options.multi ?
+    await collection.find(selector, findOptions).fetchAsync() :
+    [await collection.findOneAsync(selector, findOptions)].filter(Boolean);
+  // Documents at an older schema version are upgraded before the update
+  const docs = collection._schemaOptions.version === undefined ?
+    storedDocs :
+    storedDocs.map((doc) => upgradeDocument(doc, collection._schemaOptions));
+  // $setOnInsert doesn't change existing documents
+  const updateModifier = { ...modifier };
+
+  delete updateModifier.$setOnInsert;
+  const errors = [];
+
+  for (const doc of docs) {
+    if (!modifyDocument(doc, updateModifier, matcher, options)) {
+      continue;
+    }
+
+    // unique() compares each document with the others, not with the selector
+    const context = { ...validationContext.get(), selector: doc._id, multi: false };
+    const { success, error } = await validationContext.withValue(context, () => schema.safeParseAsync(doc));
+
+    if (!success) {
+      errors.push(...issuesToErrors(error.issues).map((detail) => ({ ...detail, docId: doc._id })));
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors, "Document validation error");
+  }
+}
+
+function modifyDocument(doc, modifier, matcher, options) {
+  // arrayFilters can't be simulated by minimongo
+  if (options.arrayFilters) {
+    return false;
+  }
+
+  try {
+    LocalCollection._modify(doc, modifier, { arrayIndices: matcher.documentMatches(doc).arrayIndices });
+  } catch (e) {
+    if (e.name === "MinimongoError") {
+      return false;
+    }
+
+    throw e;
+  }
+
+  return true;
+}
+
+// Compiling a selector has no side effects, any error means minimongo doesn't
+// support one of its operators.
+function selectorMatcher(selector) {
+  try {
+    return new Minimongo.Matcher(selectorObject(selector));
+  } catch {
+    return undefined;
+  }
+}
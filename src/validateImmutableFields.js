@@ -0,0 +1,74 @@
+import { z } from "zod";
+
+import { ValidationError } from "./ValidationError";
+import { stripArraySegments, unwrapSchema } from "./utils/schemaFromPath";
+
+
+const IMMUTABLE = "immutable";
+
+// Returns the paths of the fields marked with .describe("immutable")
+export function schemaImmutableFields(schema, path = []) {
+  if (!schema) {
+    return [];
+  }
+
+  const unwrappedSchema = unwrapSchema(schema);
+
+  if (path.length > 0 && (schema.description === IMMUTABLE || unwrappedSchema.description === IMMUTABLE)) {
+    return [path.join(".")];
+  }
+
+  if (unwrappedSchema instanceof z.ZodObject) {
+    return Object.entries(unwrappedSchema.shape).flatMap(([key, fieldSchema]) => schemaImmutableFields(fieldSchema, [...path, key]));
+  }
+
+  if (unwrappedSchema instanceof z.ZodUnion || unwrappedSchema instanceof z.ZodDiscriminatedUnion) {
+    return unwrappedSchema.options.flatMap((option) => schemaImmutableFields(option, path));
+  }
+
+  if (unwrappedSchema instanceof z.ZodIntersection) {
+    return [
+      ...schemaImmutableFields(unwrappedSchema._def.left, path),
+      ...schemaImmutableFields(unwrappedSchema._def.right, path),
+    ];
+  }
+
+  return [];
+}
+
+// Immutable fields can only be written on insert (or $setOnInsert). Any update
+// operator on them, their subfields or their parent objects is rejected.
+export function validateImmutableFields(modifier, immutableFields) {
+  const errors = [];
+
+  Object.entries(modifier).forEach(([operator, fields]) => {
+    if (operator === "$setOnInsert") {
+      return;
+    }
+
+    Object.entries(fields || {}).forEach(([field, value]) => {
+      const paths = operator === "$rename" ? [field, value] : [field];
+
+      paths.forEach((path) => {
+        const immutableField = immutableFields.find((immutablePath) => pathsOverlap(stripArraySegments(path), immutablePath));
+
+        if (immutableField) {
+          errors.push({
+            name: path,
+            type: "immutable_field",
+            operator,
+            message: `${immutableField} is immutable and can't be changed with ${operator}`,
+          });
+        }
+      });
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors, "Immutable field");
+  }
+}
+
+function pathsOverlap(path, otherPath) {
+  return path === otherPath || path.startsWith(`${otherPath}.`) || otherPath.startsWith(`${path}.`);
+}
@@ -0,0 +1,78 @@
+import { z } from "zod";
+
+import { ValidationError } from "./ValidationError";
+import { hasMatchedSegments, schemaFromPath, valuesFromPath } from "./utils/schemaFromPath";
+import { checkFieldExists, checkFieldIsNumber, parseField } from "./utils/fieldChecks";
+import { issuesToErrors } from "./utils/errorDetails";
+
+
+export const numericOps = ["$inc", "$mul", "$min", "$max"];
+
+const computeResult = {
+  $inc: (current = 0, value) => current + value,
+  // Mongo sets missing fields to 0 on $mul
+  $mul: (current = 0, value) => current * value,
+};
+
+export async function validateNumericOps(collection, args, key, schema) {
+  const options = args[2] || {};
+  const fields = Object.keys(args[1][key]);
+
+  for (const field of fields) {
+    const fieldSchema = schemaFromPath(schema, field);
+
+    checkFieldExists(fieldSchema, field);
+
+    if (key === "$min" || key === "$max") {
+      checkFieldIsNumber(fieldSchema, field, { allowDates: true });
+
+      // The result is either the current value or the operand, so the operand
+      // must satisfy the field schema on its own.
+      args[1][key][field] = await parseField(fieldSchema, args[1][key][field], field);
+      continue;
+    }
+
+    // Only $inc keeps integers integer, an integer field can be multiplied by
+    // 0.5 and the result is checked with fetchCurrent
+    const numberSchema = checkFieldIsNumber(fieldSchema, field);
+    const operandSchema = key === "$inc" && numberSchema.isInt ? z.number().int() : z.number();
+
+    args[1][key][field] = await parseField(operandSchema, args[1][key][field], field);
+  }
+
+  if (!options.fetchCurrent || !computeResult[key]) {
+    return;
+  }
+
+  // The elements matched by $ and $[identifier] are only known by Mongo
+  const computableFields = fields.filter((field) => !hasMatchedSegments(field));
+
+  if (computableFields.length === 0) {
+    return;
+  }
+
+  const projection = Object.fromEntries(computableFields.map((field) => [field.split(".")[0], 1]));
+  const docs = options.multi ?
+    await collection.find(args[0], { fields: projection, withDeleted: true }).fetchAsync() :
+    [await collection.findOneAsync(args[0], { fields: projection, withDeleted: true })].filter(Boolean);
+  const errors = [];
+
+  for (const doc of docs) {
+    for (const field of computableFields) {
+      const fieldSchema = schemaFromPath(schema, field);
+
+      for (const value of valuesFromPath(doc, field)) {
+        const result = computeResult[key](value, args[1][key][field]);
+        const { success, error } = await fieldSchema.safeParseAsync(result, { path: field.split(".") });
+
+        if (!success) {
+          errors.push(...issuesToErrors(error.issues).map((detail) => ({ ...detail, docId: doc._id })));
+        }
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors, `Invalid ${key} result`);
+  }
+}
@@ -0,0 +1,106 @@
+import { z } from "zod";
+
+import { ValidationError } from "./ValidationError";
+import { schemaFromPath, unwrapSchema } from "./utils/schemaFromPath";
+
+
+// Checks that the paths removed by $unset are optional, otherwise the document
+// would no longer match its schema. Paths outside the schema can be unset.
+export function validateUnset(schema, fields) {
+  const errors = [];
+
+  Object.keys(fields).forEach((field) => {
+    const fieldSchema = schemaFromPath(schema, field, { keepOptional: true });
+
+    if (fieldSchema && !fieldSchema.isOptional()) {
+      errors.push({
+        name: field,
+        type: "required_field_unset",
+        message: `${field} is required and can't be unset`,
+      });
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors, "Invalid $unset operation");
+  }
+}
+
+// Checks that a $rename moves an optional field into an existing field of the
+// same type. Arrays and objects must have the same elements and shapes.
+export function validateRename(schema, fields) {
+  const errors = [];
+
+  Object.entries(fields).forEach(([field, newField]) => {
+    const fieldSchema = schemaFromPath(schema, field, { keepOptional: true });
+    const newFieldSchema = schemaFromPath(schema, newField);
+
+    if (!fieldSchema) {
+      errors.push({
+        name: field,
+        type: "invalid_field",
+        message: `${field} does not exist`,
+      });
+    } else if (!fieldSchema.isOptional()) {
+      errors.push({
+        name: field,
+        type: "required_field_rename",
+        message: `${field} is required and can't be renamed`,
+      });
+    }
+
+    if (!newFieldSchema) {
+      errors.push({
+        name: newField,
+        type: "invalid_field",
+        message: `${newField} does not exist`,
+      });
+    } else if (fieldSchema && !sameType(fieldSchema, newFieldSchema)) {
+      errors.push({
+        name: newField,
+        type: "rename_type_mismatch",
+        message: `${field} can't be renamed to ${newField} because they have different types`,
+        expected: getTypeName(newFieldSchema),
+        received: getTypeName(fieldSchema),
+      });
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors, "Invalid $rename operation");
+  }
+}
+
+function sameType(schema, otherSchema) {
+  const unwrappedSchema = unwrapSchema(schema);
+  const otherUnwrappedSchema = unwrapSchema(otherSchema);
+
+  if (getTypeName(unwrappedSchema) !== getTypeName(otherUnwrappedSchema)) {
+    return false;
+  }
+
+  if (unwrappedSchema instanceof z.ZodArray) {
+    return sameType(unwrappedSchema.element, otherUnwrappedSchema.element);
+  }
+
+  if (unwrappedSchema instanceof z.ZodObject) {
+    const keys = Object.keys(unwrappedSchema.shape);
+    const otherKeys = Object.keys(otherUnwrappedSchema.shape);
+
+    return keys.length === otherKeys.length && keys.every((key) => (
+      key in otherUnwrappedSchema.shape &&
+      unwrappedSchema.shape[key].isOptional() === otherUnwrappedSchema.shape[key].isOptional() &&
+      sameType(unwrappedSchema.shape[key], otherUnwrappedSchema.shape[key])
+    ));
+  }
+
+  if (unwrappedSchema instanceof z.ZodRecord) {
+    return sameType(unwrappedSchema.valueSchema, otherUnwrappedSchema.valueSchema);
+  }
+
+  return true;
+}
+
+function getTypeName(schema) {
+  return unwrapSchema(schema)._def.typeName;
+}
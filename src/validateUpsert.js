@@ -0,0 +1,95 @@
+import { setValueAtPath } from "./utils/schemaFromPath";
+import { expandDottedKeys } from "./utils/expandDottedKeys";
+import { selectorObject } from "./utils/selectorObject";
+
+
+// Value each operator leaves in a document created by an upsert
+const insertValues = {
+  $set: (value) => value,
+  $setOnInsert: (value) => value,
+  $inc: (value) => value,
+  $min: (value) => value,
+  $max: (value) => value,
+  $mul: () => 0,
+  $push: (value) => (value?.$each ? value.$each : [value]),
+  $addToSet: (value) => (value?.$each ? value.$each : [value]),
+  $currentDate: (value) => (value?.$type === "timestamp" ? undefined : new Date()),
+};
+
+// Checks the document an upsert would insert against the full schema. The
+// document is built like Mongo does, from the equality fields of the selector
+// and the modifier. Schema defaults for untouched fields are added to
+// $setOnInsert, as an insert would do. Nothing is checked when a document
+// matches, the upsert updates it instead.
+export async function validateUpsertDocument(collection, schema, args) {
+  const [selector, modifier] = args;
+
+  // Updates don't skip the soft deleted documents
+  if (await collection.findOneAsync(selector, { fields: { _id: 1 }, withDeleted: true })) {
+    return;
+  }
+
+  const insertDoc = upsertDocument(selector, modifier);
+  const doc = await schema.parseAsync(insertDoc);
+  const modifiedKeys = Object.values(modifier).flatMap((fields) => Object.keys(fields || {}).map((field) => field.split(".")[0]));
+
+  Object.keys(doc).forEach((key) => {
+    if (!(key in insertDoc) && !modifiedKeys.includes(key)) {
+      modifier.$setOnInsert = modifier.$setOnInsert || {};
+      modifier.$setOnInsert[key] = doc[key];
+    }
+  });
+}
+
+// Expands the dotted keys of $setOnInsert like an insert does. Keys whose root
+// field is also modified by another operator stay dotted, expanding them would
+// make Mongo report a path conflict.
+export function expandSetOnInsert(modifier) {
+  const otherRoots = Object.entries(modifier)
+    .filter(([operator]) => operator !== "$setOnInsert")
+    .flatMap(([, fields]) => Object.keys(fields || {}).map((field) => field.split(".")[0]));
+  const keptFields = {};
+  const fieldsToExpand = {};
+
+  Object.entries(modifier.$setOnInsert).forEach(([field, value]) => {
+    if (field.includes(".") && otherRoots.includes(field.split(".")[0])) {
+      keptFields[field] = value;
+    } else {
+      fieldsToExpand[field] = value;
+    }
+  });
+
+  modifier.$setOnInsert = Object.assign(expandDottedKeys(fieldsToExpand), keptFields);
+}
+
+// Builds the document an upsert would insert, from the equality fields of the
+// selector and the values set by the modifier.
+export function upsertDocument(selector, modifier) {
+  const doc = selectorEqualityFields(selectorObject(selector));
+
+  Object.keys(insertValues).forEach((operator) => {
+    Object.entries(modifier[operator] || {}).forEach(([field, value]) => {
+      setValueAtPath(doc, field, insertValues[operator](value));
+    });
+  });
+
+  return doc;
+}
+
+function selectorEqualityFields(selector = {}, doc = {}) {
+  Object.entries(selector).forEach(([key, value]) => {
+    if (key === "$and") {
+      value.forEach((subSelector) => selectorEqualityFields(subSelector, doc));
+    } else if (!key.startsWith("$") && !isCondition(value)) {
+      setValueAtPath(doc, key, value);
+    } else if (value?.$eq !== undefined) {
+      setValueAtPath(doc, key, value.$eq);
+    }
+  });
+
+  return doc;
+}
+
+function isCondition(value) {
+  return value instanceof RegExp || (value?.constructor === Object && Object.keys(value).some((key) => key.startsWith("$")));
+}
@@ -0,0 +1,90 @@
+import { z } from "zod";
+import { Mongo } from "meteor/mongo";
+import { Tinytest } from "meteor/tinytest";
+
+import { ValidationError } from "../src/ValidationError";
+import { unique } from "../src/refinements";
+
+
+// Local collections are written like the collections of method stubs
+const createTestCollection = () => new Mongo.Collection(null);
+
+
+Tinytest.addAsync("extendWithSchema - Client writes are validated", async (test) => {
+  const TestCollection = createTestCollection();
+
+  TestCollection.withSchema(z.object({
+    name: z.string(),
+    age: z.number(),
+  })).withDates();
+
+  const id = await TestCollection.insertAsync({ name: "John", age: 30 });
+  test.isTrue((await TestCollection.findOneAsync(id)).createdAt instanceof Date, "Dates should be added on the client");
+
+  try {
+    await TestCollection.insertAsync({ name: "Jane", age: "25" });
+    test.fail("Should throw ValidationError for invalid insert");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].name, "age", "Error should be about the age field");
+  }
+
+  try {
+    await TestCollection.updateAsync(id, { $set: { age: "31" } });
+    test.fail("Should throw ValidationError for invalid update");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].name, "age", "Error should be about the age field");
+  }
+});
+
+Tinytest.addAsync("extendWithSchema - Client skips the database checks", async (test) => {
+  const TestCollection = createTestCollection();
+
+  TestCollection.withSchema(z.object({
+    email: z.string().superRefine(unique()),
+  }));
+
+  await TestCollection.insertAsync({ email: "john@example.com" });
+  await TestCollection.insertAsync({ email: "john@example.com" });
+
+  test.equal(await TestCollection.find({ email: "john@example.com" }).countAsync(), 2, "unique() should only run on the server");
+});
+
+Tinytest.addAsync("extendWithSchema - Client leaves the user fields to the server", async (test) => {
+  const TestCollection = createTestCollection();
+
+  TestCollection.withSchema(z.object({
+    name: z.string(),
+  })).withUser({ trackUpdates: true });
+
+  const id = await TestCollection.insertAsync({ name: "John" });
+  await TestCollection.updateAsync(id, { $set: { name: "Johnny" } });
+
+  const doc = await TestCollection.findOneAsync(id);
+  test.equal(doc.name, "Johnny", "Writes should not require the user fields on the client");
+  test.isUndefined(doc.userId, "userId should not be set on the client");
+  test.isUndefined(doc.updatedBy, "updatedBy should not be set on the client");
+});
+
+Tinytest.addAsync("extendWithSchema - Client can't call the maintenance methods", async (test) => {
+  const TestCollection = createTestCollection();
+
+  TestCollection.withSchema(z.object({ name: z.string() })).withSoftDelete({ retentionDays: 30 });
+
+  const calls = [
+    ["auditSchemaAsync", () => TestCollection.auditSchemaAsync()],
+    ["migrateAsync", () => TestCollection.migrateAsync((doc) => doc)],
+    ["purgeDeletedAsync", () => TestCollection.purgeDeletedAsync()],
+    ["enforceRetentionAsync", () => TestCollection.enforceRetentionAsync()],
+  ];
+
+  for (const [methodName, call] of calls) {
+    try {
+      await call();
+      test.fail(`${methodName} should throw on the client`);
+    } catch (error) {
+      test.equal(error.error, "SERVER_ONLY", `${methodName} should only run on the server`);
+    }
+  }
+});
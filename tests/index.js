@@ -4,6 +4,8 @@ import { Random } from "meteor/random";
 import { Tinytest } from "meteor/tinytest";
 
 import { ValidationError } from "../src/ValidationError";
+import { references, unique } from "../src/refinements";
+import { defineMethod } from "../src/defineMethod";
 
 
 // Helper function to create a test collection
@@ -60,6 +62,31 @@ Tinytest.add("extendWithSchema - withSoftDelete", (test) => {
   test.isTrue(TestCollection._schema.shape.updatedAt === undefined, "updatedAt should not be added to schema");
 });
 
+Tinytest.add("extendWithSchema - behaviors in any order", (test) => {
+  const TestCollection = createTestCollection("test");
+  const schema = z.object({
+    name: z.string(),
+  });
+
+  TestCollection.withDates().withSoftDelete().withSchema(schema);
+
+  test.isTrue(TestCollection._schema.shape.name instanceof z.ZodType, "name should be in the schema");
+  test.isTrue(TestCollection._schema.shape.createdAt instanceof z.ZodType, "createdAt should be added to schema");
+  test.isTrue(TestCollection._schema.shape.isDeleted instanceof z.ZodType, "isDeleted should be added to schema");
+
+  TestCollection.withSchema(z.object({ title: z.string() })).withUser();
+
+  test.isUndefined(TestCollection._schema.shape.name, "name should be removed with the old schema");
+  test.isTrue(TestCollection._schema.shape.title instanceof z.ZodType, "title should be in the schema");
+  test.isTrue(TestCollection._schema.shape.createdAt instanceof z.ZodType, "createdAt should be kept after a new schema");
+  test.isTrue(TestCollection._schema.shape.userId instanceof z.ZodType, "userId should be added to schema");
+
+  test.isTrue(TestCollection.hasBehavior("dates"), "dates behavior should be active");
+  test.isFalse(createTestCollection("test").hasBehavior("dates"), "dates behavior should not be active on other collections");
+  test.equal(TestCollection.getBehaviors(), ["dates", "softDelete", "user"], "All behaviors should be listed");
+});
+
+
 Tinytest.addAsync("extendWithSchema - insertAsync with schema validation", async (test) => {
   const TestCollection = createTestCollection("test");
   const schema = z.object({
@@ -86,6 +113,47 @@ Tinytest.addAsync("extendWithSchema - insertAsync with schema validation", async
   }
 });
 
+Tinytest.addAsync("extendWithSchema - insertAsync with dot notation keys", async (test) => {
+  const TestCollection = createTestCollection("test");
+  const schema = z.object({
+    name: z.string(),
+    meta: z.object({
+      views: z.number(),
+      likes: z.number(),
+    }),
+  });
+
+  TestCollection.withSchema(schema);
+
+  const id = await TestCollection.insertAsync({ name: "John", meta: { likes: 2 }, "meta.views": 1 });
+  const doc = await TestCollection.findOneAsync(id);
+  test.equal(doc.meta, { views: 1, likes: 2 }, "Dotted keys should be expanded into nested objects");
+
+  try {
+    await TestCollection.insertAsync({ name: "John", meta: { likes: 2 }, "meta.views": "1" });
+    test.fail("Should throw ValidationError for invalid nested value");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].name, "meta.views", "Error should be about the views field");
+  }
+
+  try {
+    await TestCollection.insertAsync({ name: "John", meta: { views: 1, likes: 2 }, "meta.views": 2 });
+    test.fail("Should throw ValidationError for conflicting dotted key");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].name, "meta.views", "Error should be about the views field");
+    test.equal(error.details[0].type, "dotted_key_conflict", "Error should be about the dotted key conflict");
+  }
+
+  const result = await TestCollection.upsertAsync(
+    { name: "Jane" },
+    { $setOnInsert: { "meta.views": 0, "meta.likes": 0 } },
+  );
+  const upsertedDoc = await TestCollection.findOneAsync(result.insertedId);
+  test.equal(upsertedDoc.meta, { views: 0, likes: 0 }, "Dotted keys should be expanded on $setOnInsert");
+});
+
 Tinytest.addAsync("extendWithSchema - updateAsync with schema validation", async (test) => {
   const TestCollection = createTestCollection("test");
   const schema = z.object({
@@ -137,7 +205,7 @@ Tinytest.addAsync("extendWithSchema - removeAsync with soft delete", async (test
   const id = await TestCollection.insertAsync({ name: "John" });
 
   await TestCollection.removeAsync(id);
-  const doc = await TestCollection.findOneAsync(id);
+  const doc = await TestCollection.findOneAsync(id, { withDeleted: true });
   test.isTrue(doc.isDeleted, "Document should be soft deleted");
   test.isNotUndefined(doc.deletedAt, "deletedAt should be set");
 });
@@ -153,7 +221,7 @@ Tinytest.addAsync("extendWithSchema - recoverAsync withSoftDelete", async (test)
   const id = await TestCollection.insertAsync({ name: "John" });
 
   await TestCollection.removeAsync(id);
-  const softDeletedDoc = await TestCollection.findOneAsync(id);
+  const softDeletedDoc = await TestCollection.findOneAsync(id, { withDeleted: true });
 
   test.isNotNull(softDeletedDoc, "Document should still exist after soft delete");
   test.isTrue(softDeletedDoc.isDeleted, "Document should be marked as deleted");
@@ -166,6 +234,106 @@ Tinytest.addAsync("extendWithSchema - recoverAsync withSoftDelete", async (test)
   test.isUndefined(recoveredDoc.deletedAt, "deletedAt should be unset");
 });
 
+Tinytest.addAsync("extendWithSchema - soft deleted documents are filtered from reads", async (test) => {
+  const TestCollection = createTestCollection("test");
+  const schema = z.object({
+    name: z.string(),
+  });
+
+  TestCollection.withSchema(schema).withSoftDelete();
+
+  const id = await TestCollection.insertAsync({ name: "John" });
+  await TestCollection.insertAsync({ name: "Jane" });
+  await TestCollection.removeAsync(id);
+
+  test.isUndefined(await TestCollection.findOneAsync(id), "Soft deleted document should not be found");
+  test.equal(await TestCollection.find().countAsync(), 1, "Soft deleted document should not be returned by find");
+  test.equal(await TestCollection.find({ name: "John" }).countAsync(), 0, "Selector should be combined with the filter");
+  test.equal(await TestCollection.find({}, { withDeleted: true }).countAsync(), 2, "withDeleted should return all documents");
+
+  const deletedDocs = await TestCollection.find({}, { onlyDeleted: true }).fetchAsync();
+  test.equal(deletedDocs.map((doc) => doc._id), [id], "onlyDeleted should return the soft deleted documents");
+
+  test.equal(await TestCollection.find({ isDeleted: true }).countAsync(), 1, "An explicit isDeleted filter should be respected");
+});
+
+Tinytest.addAsync("extendWithSchema - forceRemoveAsync and purgeDeletedAsync", async (test) => {
+  const TestCollection = createTestCollection("test");
+  const schema = z.object({
+    name: z.string(),
+  });
+
+  TestCollection.withSchema(schema).withSoftDelete({ retentionDays: 30 });
+
+  const id = await TestCollection.insertAsync({ name: "John" });
+  await TestCollection.forceRemoveAsync(id);
+  test.isUndefined(await TestCollection.findOneAsync(id, { withDeleted: true }), "Document should be removed");
+
+  const oldId = await TestCollection.insertAsync({ name: "Old" });
+  const recentId = await TestCollection.insertAsync({ name: "Recent" });
+  await TestCollection.removeAsync(oldId);
+  await TestCollection.removeAsync(recentId);
+  await TestCollection.updateAsync(oldId, { $set: { deletedAt: new Date(Date.now() - 40 * 24 * 60 * 60 * 1000) } });
+
+  await TestCollection.enforceRetentionAsync();
+  test.isUndefined(await TestCollection.findOneAsync(oldId, { withDeleted: true }), "Document past the retention should be purged");
+  test.isNotUndefined(await TestCollection.findOneAsync(recentId, { withDeleted: true }), "Recently deleted document should be kept");
+
+  await TestCollection.purgeDeletedAsync();
+  test.equal(await TestCollection.find({}, { withDeleted: true }).countAsync(), 0, "All soft deleted documents should be purged");
+
+  const NoSoftDeleteCollection = createTestCollection("test");
+  NoSoftDeleteCollection.withSchema(schema);
+
+  try {
+    await NoSoftDeleteCollection.purgeDeletedAsync();
+    test.fail("Should throw an error when soft delete is disabled");
+  } catch (error) {
+    test.equal(error.error, "SOFT_DELETE_DISABLED", "Error should be about soft delete being disabled");
+  }
+});
+
+Tinytest.addAsync("extendWithSchema - soft delete records who deleted and restored", async (test) => {
+  const TestCollection = createTestCollection("test");
+  const schema = z.object({
+    name: z.string(),
+  });
+
+  TestCollection.withSchema(schema).withSoftDelete();
+
+  test.isTrue(TestCollection._schema.shape.deletedBy instanceof z.ZodType, "deletedBy should be added to schema");
+  test.isTrue(TestCollection._schema.shape.restoredBy instanceof z.ZodType, "restoredBy should be added to schema");
+  test.isTrue(TestCollection._schema.shape.restoredAt instanceof z.ZodType, "restoredAt should be added to schema");
+
+  const mockUserId = Random.id();
+  const originalUserId = Meteor.userId;
+  Meteor.userId = () => mockUserId;
+
+  const id = await TestCollection.insertAsync({ name: "John" });
+
+  await TestCollection.removeAsync(id);
+  let doc = await TestCollection.findOneAsync(id, { withDeleted: true });
+  test.equal(doc.deletedBy, mockUserId, "deletedBy should be set to the current user ID");
+
+  await TestCollection.recoverAsync(id);
+  doc = await TestCollection.findOneAsync(id);
+  test.equal(doc.restoredBy, mockUserId, "restoredBy should be set to the current user ID");
+  test.isTrue(doc.restoredAt instanceof Date, "restoredAt should be set");
+  test.isUndefined(doc.deletedBy, "deletedBy should be unset");
+
+  Meteor.userId = () => null;
+
+  await TestCollection.removeAsync(id);
+  doc = await TestCollection.findOneAsync(id, { withDeleted: true });
+  test.isTrue(doc.isDeleted, "Document should be soft deleted without user context");
+  test.isUndefined(doc.deletedBy, "deletedBy should not be set without user context");
+  test.isUndefined(doc.restoredAt, "restoredAt should be unset when deleted again");
+  test.isUndefined(doc.restoredBy, "restoredBy should be unset when deleted again");
+
+  Meteor.userId = originalUserId;
+});
+
+
 Tinytest.addAsync("extendWithSchema - insertAsync withDates", async (test) => {
   const TestCollection = createTestCollection("test");
   const schema = z.object({
@@ -285,8 +453,6 @@ Tinytest.addAsync("extendWithSchema - schema validation with nested fields", asy
   }
 });
 
-
-
 Tinytest.addAsync("extendWithSchema - upsert with withDates", async (test) => {
   const TestCollection = createTestCollection("test");
   const schema = z.object({
@@ -323,6 +489,54 @@ Tinytest.addAsync("extendWithSchema - upsert with withDates", async (test) => {
   test.isTrue(updatedDoc.updatedAt > doc.updatedAt, "updatedAt should be later than original");
 });
 
+Tinytest.addAsync("extendWithSchema - upsertAsync validates the inserted document", async (test) => {
+  const TestCollection = createTestCollection("test");
+  const schema = z.object({
+    name: z.string(),
+    count: z.number().min(0),
+    email: z.string().email(),
+  });
+
+  TestCollection.withSchema(schema).withSoftDelete();
+
+  const result = await TestCollection.upsertAsync(
+    { email: "john@example.com" },
+    { $set: { name: "John" }, $inc: { count: 1 } },
+  );
+
+  let doc = await TestCollection.findOneAsync(result.insertedId);
+  test.equal(doc.email, "john@example.com", "Email should be taken from the selector");
+  test.equal(doc.count, 1, "Count should be set by $inc");
+  test.isFalse(doc.isDeleted, "isDeleted default should be set on insert");
+
+  try {
+    await TestCollection.upsertAsync({ email: "jane@example.com" }, { $setOnInsert: { count: 1 } });
+    test.fail("Should throw ValidationError for missing required field");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].name, "name", "Error should be about the name field");
+    test.equal(error.details[0].type, "invalid_type", "Error should be about invalid type");
+  }
+
+  try {
+    await TestCollection.upsertAsync({ email: "john@example.com" }, { $set: { count: -1 } });
+    test.fail("Should throw ValidationError for invalid $set value");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].name, "count", "Error should be about the count field");
+  }
+
+  await TestCollection.updateAsync({ email: "john@example.com" }, { $set: { count: 5 } }, { upsert: true });
+  doc = await TestCollection.findOneAsync(result.insertedId);
+  test.equal(doc.count, 5, "Count should be updated");
+
+  // The required fields are only needed when the upsert inserts
+  await TestCollection.upsertAsync({ _id: result.insertedId }, { $set: { count: 6 } });
+  doc = await TestCollection.findOneAsync(result.insertedId);
+  test.equal(doc.count, 6, "Count should be updated by the upsert");
+});
+
+
 Tinytest.addAsync("extendWithSchema - array operations", async (test) => {
   const TestCollection = createTestCollection("test");
   const schema = z.object({
@@ -551,7 +765,6 @@ Tinytest.addAsync("extendWithSchema - skip schema validation", async (test) => {
   test.equal(updatedDoc.age, "31", "Age should be updated as a string");
 });
 
-
 Tinytest.addAsync("extendWithSchema - withUser", async (test) => {
   const TestCollection = createTestCollection("test");
   const schema = z.object({
@@ -596,6 +809,89 @@ Tinytest.addAsync("extendWithSchema - withUser", async (test) => {
   Meteor.userId = originalUserId;
 });
 
+Tinytest.addAsync("extendWithSchema - withUser tracking updates", async (test) => {
+  const TestCollection = createTestCollection("test");
+  const schema = z.object({
+    name: z.string(),
+  });
+
+  TestCollection.withSchema(schema).withDates().withUser({ trackUpdates: true });
+
+  test.isTrue(TestCollection._schema.shape.updatedBy instanceof z.ZodType, "updatedBy should be added to schema");
+
+  const creatorId = Random.id();
+  const editorId = Random.id();
+  const originalUserId = Meteor.userId;
+  Meteor.userId = () => creatorId;
+
+  const id = await TestCollection.insertAsync({ name: "Alice" });
+  let doc = await TestCollection.findOneAsync(id);
+  test.equal(doc.userId, creatorId, "userId should be set to the creator");
+  test.equal(doc.updatedBy, creatorId, "updatedBy should be set on insert");
+
+  Meteor.userId = () => editorId;
+
+  await TestCollection.updateAsync(id, { $set: { name: "Alicia" } });
+  doc = await TestCollection.findOneAsync(id);
+  test.equal(doc.userId, creatorId, "userId should remain the creator");
+  test.equal(doc.updatedBy, editorId, "updatedBy should be set to the last modifier");
+
+  await TestCollection.upsertAsync({ name: "Bob" }, { $set: { name: "Bob" } });
+  doc = await TestCollection.findOneAsync({ name: "Bob" });
+  test.equal(doc.updatedBy, editorId, "updatedBy should be set on upsert");
+
+  Meteor.userId = () => null;
+
+  await TestCollection.updateAsync(id, { $set: { name: "Ali" } });
+  doc = await TestCollection.findOneAsync(id);
+  test.isUndefined(doc.updatedBy, "updatedBy should be unset when updatedAt moves without a user");
+
+  Meteor.userId = originalUserId;
+});
+
+Tinytest.addAsync("extendWithSchema - custom field names and types", async (test) => {
+  const TestCollection = createTestCollection("test");
+  const schema = z.object({
+    name: z.string(),
+  });
+
+  TestCollection
+    .withSchema(schema)
+    .withDates({ createdAtField: "created_at", updatedAtField: "updated_at" })
+    .withUser({ userIdField: "ownerId", userIdSchema: z.string().length(24) })
+    .withSoftDelete({ isDeletedField: "removed", deletedAtField: "removed_at" });
+
+  test.isTrue(TestCollection._schema.shape.created_at instanceof z.ZodType, "created_at should be added to schema");
+  test.isTrue(TestCollection._schema.shape.ownerId instanceof z.ZodType, "ownerId should be added to schema");
+  test.isTrue(TestCollection._schema.shape.removed instanceof z.ZodType, "removed should be added to schema");
+  test.isUndefined(TestCollection._schema.shape.createdAt, "createdAt should not be added to schema");
+  test.isUndefined(TestCollection._schema.shape.userId, "userId should not be added to schema");
+  test.isUndefined(TestCollection._schema.shape.isDeleted, "isDeleted should not be added to schema");
+
+  const mockUserId = "5f1d7f3e9c8b4a2d6e0f1a2b";
+  const originalUserId = Meteor.userId;
+  Meteor.userId = () => mockUserId;
+
+  const id = await TestCollection.insertAsync({ name: "John" });
+  let doc = await TestCollection.findOneAsync(id);
+  test.equal(doc.ownerId, mockUserId, "ownerId should be set to the current user ID");
+  test.isTrue(doc.created_at instanceof Date, "created_at should be set");
+  test.isTrue(doc.updated_at instanceof Date, "updated_at should be set");
+  test.isFalse(doc.removed, "removed should default to false");
+
+  await TestCollection.updateAsync(id, { $set: { name: "Jane", created_at: new Date(0) } });
+  doc = await TestCollection.findOneAsync(id);
+  test.notEqual(doc.created_at.getTime(), 0, "created_at should not be updated");
+
+  await TestCollection.removeAsync(id);
+  test.isUndefined(await TestCollection.findOneAsync(id), "Soft deleted document should be filtered");
+  doc = await TestCollection.findOneAsync(id, { withDeleted: true });
+  test.isTrue(doc.removed, "removed should be set");
+  test.isTrue(doc.removed_at instanceof Date, "removed_at should be set");
+
+  Meteor.userId = originalUserId;
+});
+
 
 Tinytest.addAsync("extendWithSchema - $inc", async (test) => {
   const TestCollection = createTestCollection("test");
@@ -628,205 +924,1173 @@ Tinytest.addAsync("extendWithSchema - $inc", async (test) => {
   test.equal(doc3.transactions[0].amount, 101, "Amount should be incremented");
 });
 
-
-Tinytest.addAsync("extendWithSchema - $pop", async (test) => {
-  const TestCollection = createTestCollection("popTest2", true);
+Tinytest.addAsync("extendWithSchema - numeric operators validation", async (test) => {
+  const TestCollection = createTestCollection("test");
   const schema = z.object({
     name: z.string(),
-    scores: z.array(z.number()),
-    tags: z.array(z.string()),
-    meta: z.object({
-      views: z.array(z.number()).optional(),
-    }).optional(),
+    stock: z.number().int().min(0).max(10),
+    price: z.number().optional(),
+    lastSeenAt: z.date().optional(),
   });
 
   TestCollection.withSchema(schema);
 
-  const docId = await TestCollection.insertAsync({
-    name: "Charlie",
-    scores: [10, 20, 30, 40, 50],
-    tags: ["a", "b", "c", "d", "e"],
-    meta: {
-      views: [1, 2, 3, 4, 5],
-    },
-  });
+  const docId = await TestCollection.insertAsync({ name: "Widget", stock: 5, price: 10 });
 
-  // Test $pop with 1 (remove last element)
-  await TestCollection.updateAsync(docId, { $pop: { scores: 1 } });
+  await TestCollection.updateAsync(docId, { $inc: { stock: 2 }, $mul: { price: 1.5 }, $max: { lastSeenAt: new Date() } });
   let doc = await TestCollection.findOneAsync(docId);
-  test.equal(doc.scores, [10, 20, 30, 40], "Last score should be removed");
-
-  // Test $pop with -1 (remove first element)
-  await TestCollection.updateAsync(docId, { $pop: { tags: -1 } });
-  doc = await TestCollection.findOneAsync(docId);
-  test.equal(doc.tags, ["b", "c", "d", "e"], "First tag should be removed");
-
-  // Test $pop on multiple fields
-  await TestCollection.updateAsync(docId, { $pop: { tags: -1, scores: 1 } });
-  doc = await TestCollection.findOneAsync(docId);
-  test.equal(doc.tags, ["c", "d", "e"], "First tag should be removed");
-  test.equal(doc.scores, [10, 20, 30], "Last score should be removed");
-
-  // Test $pop with -1 (remove first element) on nested field
-  await TestCollection.updateAsync(docId, { $pop: { "meta.views": -1 } });
-  doc = await TestCollection.findOneAsync(docId);
-  test.equal(doc.meta.views, [2, 3, 4, 5], "First view should be removed");
-
-  // Test $pop on empty array
-  await TestCollection.updateAsync(docId, { $set: { scores: [], "meta.views": [1, 2, 3, 4, 5] } });
-  await TestCollection.updateAsync(docId, { $pop: { scores: 1 } });
-  doc = await TestCollection.findOneAsync(docId);
-  test.equal(doc.scores, [], "Popping from empty array should have no effect");
+  test.equal(doc.stock, 7, "Stock should be incremented");
+  test.equal(doc.price, 15, "Price should be multiplied");
+  test.isTrue(doc.lastSeenAt instanceof Date, "lastSeenAt should be set");
 
-  // Test $pop with invalid value
   try {
-    await TestCollection.updateAsync(docId, { $pop: { tags: 2 } });
-    test.fail("Should throw ValidationError for invalid $pop value");
+    await TestCollection.updateAsync(docId, { $inc: { name: 5 } });
+    test.fail("Should throw ValidationError for non numeric field");
   } catch (error) {
     test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
-    test.equal(error.details[0].type, "invalid_array_pop_operation", "Error should be about invalid array pop operation");
+    test.equal(error.details[0].type, "invalid_number_field", "Error should be about invalid number field");
   }
 
-  // Test $pop with invalid field
   try {
-    await TestCollection.updateAsync(docId, { $pop: { "miaw.tags": 1 } });
+    await TestCollection.updateAsync(docId, { $inc: { "meta.views": 1 } });
     test.fail("Should throw ValidationError for invalid field");
   } catch (error) {
     test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
     test.equal(error.details[0].type, "invalid_field", "Error should be about invalid field");
   }
 
-  // Test $pop with invalid array field
   try {
-    await TestCollection.updateAsync(docId, { $pop: { name: 1 } });
-    test.fail("Should throw ValidationError for invalid array field");
+    await TestCollection.updateAsync(docId, { $inc: { stock: "1" } });
+    test.fail("Should throw ValidationError for invalid operand");
   } catch (error) {
     test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
-    test.equal(error.details[0].type, "invalid_array_field", "Error should be about invalid array field");
+    test.equal(error.details[0].name, "stock", "Error should be about the stock field");
+    test.equal(error.details[0].type, "invalid_type", "Error should be about invalid type");
   }
-});
-
-Tinytest.addAsync("extendWithSchema - Schema with union", async (test) => {
-  const TestCollection = createTestCollection("test");
-  const schema = z.object({
-    id: z.string(),
-    data: z.union([
-      z.object({ type: z.literal("string"), value: z.string() }),
-      z.object({ type: z.literal("number"), value: z.number() }),
-      z.object({ type: z.literal("boolean"), value: z.boolean() }),
-    ]),
-  });
-
-  TestCollection.withSchema(schema);
-
-  // Test valid insertions
-  const stringId = await TestCollection.insertAsync({ id: "str1", data: { type: "string", value: "test" } });
-  test.isNotUndefined(stringId, "Should insert string data");
 
-  const numberId = await TestCollection.insertAsync({ id: "num1", data: { type: "number", value: 42 } });
-  test.isNotUndefined(numberId, "Should insert number data");
-
-  const booleanId = await TestCollection.insertAsync({ id: "bool1", data: { type: "boolean", value: true } });
-  test.isNotUndefined(booleanId, "Should insert boolean data");
-
-  // Test invalid insertions
   try {
-    await TestCollection.insertAsync({ id: "invalid1", data: { type: "string", value: 123 } });
-    test.fail("Should not insert mismatched type and value");
+    await TestCollection.updateAsync(docId, { $inc: { stock: 0.5 } });
+    test.fail("Should throw ValidationError for non integer operand");
   } catch (error) {
     test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].type, "invalid_type", "Error should be about invalid type");
   }
 
   try {
-    await TestCollection.insertAsync({ id: "invalid2", data: { type: "unknown", value: "test" } });
-    test.fail("Should not insert unknown type");
+    await TestCollection.updateAsync(docId, { $min: { stock: -1 } });
+    test.fail("Should throw ValidationError for $min operand out of range");
   } catch (error) {
     test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].type, "too_small", "Error should be about the min refinement");
   }
 
-  // Test valid updates
-  await TestCollection.updateAsync(stringId, { $set: { data: { type: "number", value: 100 } } });
-  const updatedDoc = await TestCollection.findOneAsync(stringId);
-  test.equal(updatedDoc.data, { type: "number", value: 100 }, "Should update to valid union type");
+  // Without fetchCurrent the result can't be computed, so only the operand is checked
+  await TestCollection.updateAsync(docId, { $inc: { stock: 1 } });
+
+  try {
+    await TestCollection.updateAsync(docId, { $inc: { stock: 5 } }, { fetchCurrent: true });
+    test.fail("Should throw ValidationError for $inc result out of range");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].name, "stock", "Error should be about the stock field");
+    test.equal(error.details[0].type, "too_big", "Error should be about the max refinement");
+  }
+
+  doc = await TestCollection.findOneAsync(docId);
+  test.equal(doc.stock, 8, "Stock should not be updated by the invalid operation");
+
+  await TestCollection.updateAsync(docId, { $mul: { stock: 0.5 } }, { fetchCurrent: true });
+  doc = await TestCollection.findOneAsync(docId);
+  test.equal(doc.stock, 4, "An integer field can be multiplied by a non integer");
+
+  try {
+    await TestCollection.updateAsync(docId, { $mul: { stock: 0.3 } }, { fetchCurrent: true });
+    test.fail("Should throw ValidationError for non integer $mul result");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].name, "stock", "Error should be about the stock field");
+    test.equal(error.details[0].type, "invalid_type", "Error should be about the int refinement");
+  }
+});
+
+Tinytest.addAsync("extendWithSchema - $unset and $rename", async (test) => {
+  const TestCollection = createTestCollection("test");
+  const schema = z.object({
+    name: z.string(),
+    nickname: z.string().optional(),
+    alias: z.string().optional(),
+    age: z.number().optional(),
+    tags: z.array(z.string()).optional(),
+    scores: z.array(z.number()).optional(),
+    address: z.object({ city: z.string() }).optional(),
+    location: z.object({ lat: z.number() }).optional(),
+  });
+
+  TestCollection.withSchema(schema);
+
+  const docId = await TestCollection.insertAsync({ name: "Alice", nickname: "Ali", age: 30, tags: ["a"], address: { city: "Bogota" } });
+
+  await TestCollection.updateAsync(docId, { $rename: { nickname: "alias" } });
+  let doc = await TestCollection.findOneAsync(docId);
+  test.equal(doc.alias, "Ali", "nickname should be renamed to alias");
+  test.isUndefined(doc.nickname, "nickname should be removed");
+
+  await TestCollection.updateAsync(docId, { $unset: { alias: true } });
+  doc = await TestCollection.findOneAsync(docId);
+  test.isUndefined(doc.alias, "alias should be unset");
+
+  try {
+    await TestCollection.updateAsync(docId, { $unset: { name: true } });
+    test.fail("Should throw ValidationError for unsetting a required field");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].name, "name", "Error should be about the name field");
+    test.equal(error.details[0].type, "required_field_unset", "Error should be about unsetting a required field");
+  }
+
+  try {
+    await TestCollection.updateAsync(docId, { $rename: { name: "nickname" } });
+    test.fail("Should throw ValidationError for renaming a required field");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].type, "required_field_rename", "Error should be about renaming a required field");
+  }
+
+  try {
+    await TestCollection.updateAsync(docId, { $rename: { age: "years" } });
+    test.fail("Should throw ValidationError for renaming to an unknown field");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].name, "years", "Error should be about the years field");
+    test.equal(error.details[0].type, "invalid_field", "Error should be about invalid field");
+  }
+
+  try {
+    await TestCollection.updateAsync(docId, { $rename: { age: "nickname" } });
+    test.fail("Should throw ValidationError for renaming to a field of another type");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].type, "rename_type_mismatch", "Error should be about the type mismatch");
+  }
+
+  try {
+    await TestCollection.updateAsync(docId, { $rename: { tags: "scores" } });
+    test.fail("Should throw ValidationError for renaming to an array of another element type");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].type, "rename_type_mismatch", "Error should be about the element type mismatch");
+  }
+
+  try {
+    await TestCollection.updateAsync(docId, { $rename: { address: "location" } });
+    test.fail("Should throw ValidationError for renaming to an object of another shape");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].type, "rename_type_mismatch", "Error should be about the shape mismatch");
+  }
+});
+
+Tinytest.addAsync("extendWithSchema - $pull, $pullAll and $currentDate", async (test) => {
+  const TestCollection = createTestCollection("test");
+  const schema = z.object({
+    name: z.string(),
+    tags: z.array(z.string()),
+    scores: z.array(z.object({
+      value: z.number(),
+      label: z.string(),
+    })),
+    seenAt: z.date().optional(),
+    labels: z.array(z.string()).default([]),
+  });
+
+  TestCollection.withSchema(schema);
+
+  const docId = await TestCollection.insertAsync({
+    name: "Alice",
+    tags: ["a", "b", "c", "d"],
+    scores: [{ value: 1, label: "low" }, { value: 9, label: "high" }],
+  });
+
+  await TestCollection.updateAsync(docId, { $pullAll: { tags: ["a", "b"] } });
+  let doc = await TestCollection.findOneAsync(docId);
+  test.equal(doc.tags, ["c", "d"], "Tags should be pulled from array");
+
+  await TestCollection.updateAsync(docId, { $pull: { tags: { $in: ["c"] }, scores: { value: { $gte: 5 } } } });
+  doc = await TestCollection.findOneAsync(docId);
+  test.equal(doc.tags, ["d"], "Tag should be pulled with $in condition");
+  test.equal(doc.scores, [{ value: 1, label: "low" }], "Score should be pulled with query condition");
+
+  await TestCollection.updateAsync(docId, { $push: { labels: { $each: ["new", "sale"] } } });
+  await TestCollection.updateAsync(docId, { $pull: { labels: "new" } });
+  doc = await TestCollection.findOneAsync(docId);
+  test.equal(doc.labels, ["sale"], "Arrays with a default should accept array operators");
+
+  await TestCollection.updateAsync(docId, { $currentDate: { seenAt: true } });
+  doc = await TestCollection.findOneAsync(docId);
+  test.isTrue(doc.seenAt instanceof Date, "seenAt should be set to the current date");
+
+  try {
+    await TestCollection.updateAsync(docId, { $pullAll: { tags: [1] } });
+    test.fail("Should throw ValidationError for invalid $pullAll values");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].name, "tags.0", "Error should be about the first value");
+    test.equal(error.details[0].type, "invalid_type", "Error should be about invalid type");
+  }
+
+  try {
+    await TestCollection.updateAsync(docId, { $pull: { name: "Alice" } });
+    test.fail("Should throw ValidationError for $pull on a non array field");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].type, "invalid_array_field", "Error should be about invalid array field");
+  }
+
+  try {
+    await TestCollection.updateAsync(docId, { $pull: { tags: 1 } });
+    test.fail("Should throw ValidationError for invalid $pull literal");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].type, "invalid_type", "Error should be about invalid type");
+  }
+
+  try {
+    await TestCollection.updateAsync(docId, { $pull: { scores: { miaw: 1 } } });
+    test.fail("Should throw ValidationError for invalid $pull condition field");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].name, "scores.miaw", "Error should be about the miaw field");
+    test.equal(error.details[0].type, "invalid_field", "Error should be about invalid field");
+  }
+
+  try {
+    await TestCollection.updateAsync(docId, { $currentDate: { name: true } });
+    test.fail("Should throw ValidationError for $currentDate on a non date field");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].type, "invalid_date_field", "Error should be about invalid date field");
+  }
+
+  try {
+    await TestCollection.updateAsync(docId, { $currentDate: { seenAt: { $type: "timestamp" } } });
+    test.fail("Should throw ValidationError for a timestamp on a date field");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].type, "invalid_timestamp_field", "Error should be about invalid timestamp field");
+  }
+});
+
+Tinytest.addAsync("extendWithSchema - positional operators", async (test) => {
+  const TestCollection = createTestCollection("positionalTest", true);
+  const schema = z.object({
+    name: z.string(),
+    items: z.array(z.object({
+      sku: z.string(),
+      qty: z.number().int().min(0),
+      status: z.enum(["pending", "done"]),
+    })),
+  });
+
+  TestCollection.withSchema(schema);
+
+  const docId = await TestCollection.insertAsync({
+    name: "Order",
+    items: [
+      { sku: "a", qty: 1, status: "pending" },
+      { sku: "b", qty: 2, status: "pending" },
+    ],
+  });
+
+  await TestCollection.updateAsync({ _id: docId, "items.sku": "a" }, { $set: { "items.$.qty": 5 } });
+  let doc = await TestCollection.findOneAsync(docId);
+  test.equal(doc.items[0].qty, 5, "Matched item qty should be updated");
+
+  await TestCollection.updateAsync(docId, { $set: { "items.$[].status": "done" } });
+  doc = await TestCollection.findOneAsync(docId);
+  test.equal(doc.items.map((item) => item.status), ["done", "done"], "All items status should be updated");
+
+  await TestCollection.updateAsync(docId, { $inc: { "items.$[item].qty": 1 } }, { arrayFilters: [{ "item.sku": "b" }] });
+  doc = await TestCollection.findOneAsync(docId);
+  test.equal(doc.items[1].qty, 3, "Filtered item qty should be incremented");
+
+  try {
+    await TestCollection.updateAsync(docId, { $set: { "items.$[].status": "unknown" } });
+    test.fail("Should throw ValidationError for invalid element value");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].name, "items.$[].status", "Error should be about the status field");
+  }
+
+  try {
+    await TestCollection.updateAsync({ _id: docId, "items.sku": "a" }, { $inc: { "items.$.qty": 0.5 } });
+    test.fail("Should throw ValidationError for invalid $inc operand");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].name, "items.$.qty", "Error should be about the qty field");
+  }
+
+  try {
+    await TestCollection.updateAsync(docId, { $inc: { "items.$[].qty": -5 } }, { fetchCurrent: true });
+    test.fail("Should throw ValidationError for $inc result out of range");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].type, "too_small", "Error should be about the min refinement");
+  }
+
+  try {
+    await TestCollection.updateAsync(docId, { $set: { "items.$[item].qty": 1 } }, { arrayFilters: [{ "other.sku": "b" }] });
+    test.fail("Should throw ValidationError for missing array filter");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].type, "invalid_array_filter", "Error should be about invalid array filter");
+  }
+
+  await TestCollection.removeAsync({});
+});
+
+
+Tinytest.addAsync("extendWithSchema - $pop", async (test) => {
+  const TestCollection = createTestCollection("popTest2", true);
+  const schema = z.object({
+    name: z.string(),
+    scores: z.array(z.number()),
+    tags: z.array(z.string()),
+    meta: z.object({
+      views: z.array(z.number()).optional(),
+    }).optional(),
+  });
+
+  TestCollection.withSchema(schema);
+
+  const docId = await TestCollection.insertAsync({
+    name: "Charlie",
+    scores: [10, 20, 30, 40, 50],
+    tags: ["a", "b", "c", "d", "e"],
+    meta: {
+      views: [1, 2, 3, 4, 5],
+    },
+  });
+
+  // Test $pop with 1 (remove last element)
+  await TestCollection.updateAsync(docId, { $pop: { scores: 1 } });
+  let doc = await TestCollection.findOneAsync(docId);
+  test.equal(doc.scores, [10, 20, 30, 40], "Last score should be removed");
+
+  // Test $pop with -1 (remove first element)
+  await TestCollection.updateAsync(docId, { $pop: { tags: -1 } });
+  doc = await TestCollection.findOneAsync(docId);
+  test.equal(doc.tags, ["b", "c", "d", "e"], "First tag should be removed");
+
+  // Test $pop on multiple fields
+  await TestCollection.updateAsync(docId, { $pop: { tags: -1, scores: 1 } });
+  doc = await TestCollection.findOneAsync(docId);
+  test.equal(doc.tags, ["c", "d", "e"], "First tag should be removed");
+  test.equal(doc.scores, [10, 20, 30], "Last score should be removed");
+
+  // Test $pop with -1 (remove first element) on nested field
+  await TestCollection.updateAsync(docId, { $pop: { "meta.views": -1 } });
+  doc = await TestCollection.findOneAsync(docId);
+  test.equal(doc.meta.views, [2, 3, 4, 5], "First view should be removed");
+
+  // Test $pop on empty array
+  await TestCollection.updateAsync(docId, { $set: { scores: [], "meta.views": [1, 2, 3, 4, 5] } });
+  await TestCollection.updateAsync(docId, { $pop: { scores: 1 } });
+  doc = await TestCollection.findOneAsync(docId);
+  test.equal(doc.scores, [], "Popping from empty array should have no effect");
+
+  // Test $pop with invalid value
+  try {
+    await TestCollection.updateAsync(docId, { $pop: { tags: 2 } });
+    test.fail("Should throw ValidationError for invalid $pop value");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].type, "invalid_array_pop_operation", "Error should be about invalid array pop operation");
+  }
+
+  // Test $pop with invalid field
+  try {
+    await TestCollection.updateAsync(docId, { $pop: { "miaw.tags": 1 } });
+    test.fail("Should throw ValidationError for invalid field");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].type, "invalid_field", "Error should be about invalid field");
+  }
+
+  // Test $pop with invalid array field
+  try {
+    await TestCollection.updateAsync(docId, { $pop: { name: 1 } });
+    test.fail("Should throw ValidationError for invalid array field");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].type, "invalid_array_field", "Error should be about invalid array field");
+  }
+});
+
+Tinytest.addAsync("extendWithSchema - Schema with union", async (test) => {
+  const TestCollection = createTestCollection("test");
+  const schema = z.object({
+    id: z.string(),
+    data: z.union([
+      z.object({ type: z.literal("string"), value: z.string() }),
+      z.object({ type: z.literal("number"), value: z.number() }),
+      z.object({ type: z.literal("boolean"), value: z.boolean() }),
+    ]),
+  });
+
+  TestCollection.withSchema(schema);
+
+  // Test valid insertions
+  const stringId = await TestCollection.insertAsync({ id: "str1", data: { type: "string", value: "test" } });
+  test.isNotUndefined(stringId, "Should insert string data");
+
+  const numberId = await TestCollection.insertAsync({ id: "num1", data: { type: "number", value: 42 } });
+  test.isNotUndefined(numberId, "Should insert number data");
+
+  const booleanId = await TestCollection.insertAsync({ id: "bool1", data: { type: "boolean", value: true } });
+  test.isNotUndefined(booleanId, "Should insert boolean data");
+
+  // Test invalid insertions
+  try {
+    await TestCollection.insertAsync({ id: "invalid1", data: { type: "string", value: 123 } });
+    test.fail("Should not insert mismatched type and value");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+  }
+
+  try {
+    await TestCollection.insertAsync({ id: "invalid2", data: { type: "unknown", value: "test" } });
+    test.fail("Should not insert unknown type");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+  }
+
+  // Test valid updates
+  await TestCollection.updateAsync(stringId, { $set: { data: { type: "number", value: 100 } } });
+  const updatedDoc = await TestCollection.findOneAsync(stringId);
+  test.equal(updatedDoc.data, { type: "number", value: 100 }, "Should update to valid union type");
 
   // Test invalid updates
   try {
-    await TestCollection.updateAsync(numberId, { $set: { data: { type: "number", value: "not a number" } } });
-    test.fail("Should not update with invalid value for type");
+    await TestCollection.updateAsync(numberId, { $set: { data: { type: "number", value: "not a number" } } });
+    test.fail("Should not update with invalid value for type");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+  }
+});
+
+Tinytest.addAsync("extendWithSchema - Schema with union on nested field", async (test) => {
+  const TestCollection = new Mongo.Collection("nestedUnionSchema");
+  const schema = z.object({
+    id: z.string(),
+    nested: z.object({
+      data: z.union([
+        z.object({ type: z.literal("string"), value: z.string() }),
+        z.object({ type: z.literal("number"), value: z.number() }),
+        z.object({ type: z.literal("boolean"), value: z.boolean() }),
+      ]),
+    }),
+  });
+
+  TestCollection.withSchema(schema);
+
+  // Test valid insertions
+  const stringId = await TestCollection.insertAsync({
+    id: "str1",
+    nested: { data: { type: "string", value: "test" } },
+  });
+  test.isNotUndefined(stringId, "Should insert nested string data");
+
+  const numberId = await TestCollection.insertAsync({
+    id: "num1",
+    nested: { data: { type: "number", value: 42 } },
+  });
+  test.isNotUndefined(numberId, "Should insert nested number data");
+
+  const booleanId = await TestCollection.insertAsync({
+    id: "bool1",
+    nested: { data: { type: "boolean", value: true } },
+  });
+  test.isNotUndefined(booleanId, "Should insert nested boolean data");
+
+  // Test invalid insertions
+  try {
+    await TestCollection.insertAsync({
+      id: "invalid1",
+      nested: { data: { type: "string", value: 123 } },
+    });
+    test.fail("Should not insert mismatched type and value in nested field");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+  }
+
+  try {
+    await TestCollection.insertAsync({
+      id: "invalid2",
+      nested: { data: { type: "unknown", value: "test" } },
+    });
+    test.fail("Should not insert unknown type in nested field");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+  }
+
+  // Test valid updates
+  await TestCollection.updateAsync(stringId, {
+    $set: { "nested.data": { type: "number", value: 100 } },
+  });
+  const updatedDoc = await TestCollection.findOneAsync(stringId);
+  test.equal(updatedDoc.nested.data, { type: "number", value: 100 }, "Should update nested field to valid union type");
+
+  // Test invalid updates
+  try {
+    await TestCollection.updateAsync(numberId, {
+      $set: { "nested.data": { type: "number", value: "not a number" } },
+    });
+    test.fail("Should not update nested field with invalid value for type");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+  }
+});
+
+Tinytest.addAsync("extendWithSchema - Schema with refinements", async (test) => {
+  const TestCollection = createTestCollection("test");
+  const schema = z.object({
+    name: z.string(),
+    startDate: z.date(),
+    endDate: z.date(),
+  }).refine((doc) => doc.endDate > doc.startDate, { message: "endDate must be after startDate", path: ["endDate"] });
+
+  TestCollection.withSchema(schema).withDates();
+
+  const id = await TestCollection.insertAsync({ name: "Trip", startDate: new Date(2024, 0, 1), endDate: new Date(2024, 0, 5) });
+  let doc = await TestCollection.findOneAsync(id);
+  test.isTrue(doc.createdAt instanceof Date, "createdAt should be set on a refined schema");
+
+  try {
+    await TestCollection.insertAsync({ name: "Trip", startDate: new Date(2024, 0, 5), endDate: new Date(2024, 0, 1) });
+    test.fail("Should throw ValidationError for invalid insert");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].name, "endDate", "Error should be about the endDate field");
+  }
+
+  await TestCollection.updateAsync(id, { $set: { endDate: new Date(2024, 0, 10) } });
+  doc = await TestCollection.findOneAsync(id);
+  test.equal(doc.endDate, new Date(2024, 0, 10), "endDate should be updated");
+
+  try {
+    await TestCollection.updateAsync(id, { $set: { startDate: new Date(2024, 1, 1) } });
+    test.fail("Should throw ValidationError when the merged document breaks the refinement");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].name, "endDate", "Error should be about the endDate field");
+    test.equal(error.details[0].docId, id, "Error should include the document id");
+  }
+
+  try {
+    await TestCollection.updateAsync(id, { $set: { name: 1 } });
+    test.fail("Should throw ValidationError for invalid field");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].name, "name", "Error should be about the name field");
+  }
+
+  // minimongo can't compile $expr, the fields are still validated one by one
+  await TestCollection.updateAsync({ $expr: { $gt: ["$endDate", "$startDate"] } }, { $set: { name: "Long trip" } });
+  doc = await TestCollection.findOneAsync(id);
+  test.equal(doc.name, "Long trip", "Update with a selector minimongo can't compile should run");
+});
+
+Tinytest.addAsync("extendWithSchema - Discriminated union root schema", async (test) => {
+  const TestCollection = createTestCollection("test");
+  const schema = z.discriminatedUnion("kind", [
+    z.object({ kind: z.literal("circle"), radius: z.number() }),
+    z.object({ kind: z.literal("square"), side: z.number(), label: z.string().optional() }),
+    z.object({ kind: z.literal("text"), label: z.string() }),
+  ]);
+
+  TestCollection.withSchema(schema).withDates();
+
+  const id = await TestCollection.insertAsync({ kind: "circle", radius: 1 });
+  let doc = await TestCollection.findOneAsync(id);
+  test.equal(doc.radius, 1, "Circle should be inserted");
+  test.isTrue(doc.createdAt instanceof Date, "createdAt should be added to every member");
+
+  try {
+    await TestCollection.insertAsync({ kind: "circle", side: 1 });
+    test.fail("Should throw ValidationError for invalid member");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+  }
+
+  await TestCollection.updateAsync(id, { $set: { radius: 2 } });
+  doc = await TestCollection.findOneAsync(id);
+  test.equal(doc.radius, 2, "Radius should be updated");
+
+  try {
+    await TestCollection.updateAsync(id, { $set: { radius: "2" } });
+    test.fail("Should throw ValidationError for invalid field");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].name, "radius", "Error should be about the radius field");
+  }
+
+  // label is a string on both members, the discriminator picks the optional one
+  const squareId = await TestCollection.insertAsync({ kind: "square", side: 1 });
+  await TestCollection.updateAsync({ _id: squareId, kind: "square" }, { $unset: { label: true } });
+
+  try {
+    await TestCollection.updateAsync({ kind: "text" }, { $unset: { label: true } });
+    test.fail("Should throw ValidationError for unsetting a required field of the member");
   } catch (error) {
     test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].type, "required_field_unset", "Error should be about unsetting a required field");
   }
 });
 
-Tinytest.addAsync("extendWithSchema - Schema with union on nested field", async (test) => {
-  const TestCollection = new Mongo.Collection("nestedUnionSchema");
+Tinytest.addAsync("extendWithSchema - Intersection root schema", async (test) => {
+  const TestCollection = createTestCollection("test");
+  const schema = z.intersection(
+    z.object({ name: z.string() }),
+    z.object({ age: z.number() }),
+  );
+
+  TestCollection.withSchema(schema).withDates();
+
+  const id = await TestCollection.insertAsync({ name: "John", age: 30 });
+  await TestCollection.updateAsync(id, { $set: { age: 31 } });
+  const doc = await TestCollection.findOneAsync(id);
+  test.equal(doc.age, 31, "Age should be updated");
+  test.isTrue(doc.updatedAt instanceof Date, "updatedAt should be set");
+
+  try {
+    await TestCollection.updateAsync(id, { $set: { age: "31" } });
+    test.fail("Should throw ValidationError for invalid field");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].name, "age", "Error should be about the age field");
+  }
+});
+
+Tinytest.addAsync("extendWithSchema - validateFullDocument", async (test) => {
+  const TestCollection = createTestCollection("test");
   const schema = z.object({
-    id: z.string(),
-    nested: z.object({
-      data: z.union([
-        z.object({ type: z.literal("string"), value: z.string() }),
-        z.object({ type: z.literal("number"), value: z.number() }),
-        z.object({ type: z.literal("boolean"), value: z.boolean() }),
-      ]),
-    }),
+    name: z.string(),
+    status: z.enum(["draft", "published"]),
+    publishedAt: z.date().optional(),
+    tags: z.array(z.string()).max(2),
+  });
+
+  TestCollection.withSchema(schema, { validateFullDocument: true });
+
+  const firstId = await TestCollection.insertAsync({ name: "First", status: "draft", tags: ["a"] });
+  const secondId = await TestCollection.insertAsync({ name: "Second", status: "draft", tags: ["a", "b"] });
+
+  await TestCollection.updateAsync(firstId, { $push: { tags: "b" } });
+  const doc = await TestCollection.findOneAsync(firstId);
+  test.equal(doc.tags, ["a", "b"], "Tag should be pushed");
+
+  try {
+    await TestCollection.updateAsync({ _id: { $in: [firstId, secondId] } }, { $push: { tags: "c" } }, { multi: true });
+    test.fail("Should throw ValidationError for documents breaking the array max");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details.map((detail) => detail.docId).sort(), [firstId, secondId].sort(), "Each failing document should be reported");
+    test.equal(error.details[0].name, "tags", "Error should be about the tags field");
+    test.equal(error.details[0].type, "too_big", "Error should be about the max refinement");
+  }
+
+  const docs = await TestCollection.find({}).fetchAsync();
+  test.isTrue(docs.every((doc) => doc.tags.length === 2), "No document should be updated");
+});
+
+Tinytest.addAsync("extendWithSchema - Async refinements with unique and references", async (test) => {
+  const ProjectsCollection = createTestCollection("projects");
+  const TestCollection = createTestCollection("test");
+  const schema = z.object({
+    email: z.string().email().superRefine(unique()),
+    projectId: z.string().superRefine(references(ProjectsCollection)),
+    tags: z.array(z.string().refine(async (tag) => tag !== "forbidden", "Tag is forbidden")).optional(),
   });
 
   TestCollection.withSchema(schema);
 
-  // Test valid insertions
-  const stringId = await TestCollection.insertAsync({
-    id: "str1",
-    nested: { data: { type: "string", value: "test" } },
+  const projectId = await ProjectsCollection.insertAsync({ name: "Project" });
+  const id = await TestCollection.insertAsync({ email: "john@example.com", projectId });
+  await TestCollection.insertAsync({ email: "jane@example.com", projectId });
+
+  try {
+    await TestCollection.insertAsync({ email: "john@example.com", projectId });
+    test.fail("Should throw ValidationError for a duplicated email");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].name, "email", "Error should be about the email field");
+    test.equal(error.details[0].type, "not_unique", "Error should be about the unique refinement");
+  }
+
+  // The updated document doesn't conflict with itself
+  await TestCollection.updateAsync(id, { $set: { email: "john@example.com" } });
+
+  try {
+    await TestCollection.updateAsync({ projectId }, { $set: { email: "team@example.com" } }, { multi: true });
+    test.fail("Should throw ValidationError for a multi update writing the same email to several documents");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].type, "not_unique", "Error should be about the unique refinement");
+  }
+
+  await TestCollection.updateAsync({ _id: id }, { $set: { email: "team@example.com" } }, { multi: true });
+  const doc = await TestCollection.findOneAsync(id);
+  test.equal(doc.email, "team@example.com", "A multi update matching one document should be allowed");
+
+  try {
+    await TestCollection.updateAsync(id, { $set: { email: "jane@example.com" } });
+    test.fail("Should throw ValidationError for a duplicated email");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].type, "not_unique", "Error should be about the unique refinement");
+  }
+
+  try {
+    await TestCollection.updateAsync(id, { $set: { projectId: "missing" } });
+    test.fail("Should throw ValidationError for a missing project");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].name, "projectId", "Error should be about the projectId field");
+    test.equal(error.details[0].type, "reference_not_found", "Error should be about the references refinement");
+  }
+
+  try {
+    await TestCollection.updateAsync(id, { $push: { tags: "forbidden" } });
+    test.fail("Should throw ValidationError for an async refinement");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].name, "tags", "Error should be about the tags field");
+  }
+
+  try {
+    await TestCollection.insertManyAsync([
+      { email: "bob@example.com", projectId },
+      { email: "bob@example.com", projectId },
+    ]);
+    test.fail("Should throw ValidationError for a duplicated email in the batch");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details.map((detail) => [detail.index, detail.type]), [[1, "not_unique"]], "The second insert should be the duplicate");
+  }
+
+  try {
+    await TestCollection.bulkWriteAsync([
+      { updateOne: { filter: { _id: id }, update: { $set: { email: "bob@example.com" } } } },
+      { insertOne: { document: { email: "bob@example.com", projectId } } },
+    ]);
+    test.fail("Should throw ValidationError for an insert duplicating an update of the batch");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].index, 1, "The insert should be the duplicate");
+  }
+
+  test.equal(await TestCollection.find({ email: "bob@example.com" }).countAsync(), 0, "Nothing should be written");
+
+  // Operations on the same document don't conflict with each other
+  await TestCollection.bulkWriteAsync([
+    { updateOne: { filter: { _id: id }, update: { $set: { email: "bob@example.com" } } } },
+    { updateOne: { filter: { _id: id }, update: { $set: { tags: ["a"] } } } },
+  ]);
+  test.equal((await TestCollection.findOneAsync(id)).email, "bob@example.com", "The batch should be written");
+});
+
+Tinytest.addAsync("extendWithSchema - insertManyAsync and bulkWriteAsync", async (test) => {
+  const TestCollection = createTestCollection("test");
+  const schema = z.object({
+    name: z.string(),
+    age: z.number(),
   });
-  test.isNotUndefined(stringId, "Should insert nested string data");
 
-  const numberId = await TestCollection.insertAsync({
-    id: "num1",
-    nested: { data: { type: "number", value: 42 } },
+  TestCollection.withSchema(schema).withDates().withSoftDelete();
+
+  test.equal(await TestCollection.insertManyAsync([]), [], "An empty insertManyAsync should insert nothing");
+  const emptyResult = await TestCollection.bulkWriteAsync([]);
+  test.equal(emptyResult.insertedCount, 0, "An empty bulkWriteAsync should insert nothing");
+  test.equal(emptyResult.modifiedCount, 0, "An empty bulkWriteAsync should update nothing");
+
+  try {
+    await TestCollection.insertManyAsync([{ name: "John", age: 30 }, { name: "Jane", age: "25" }, { name: 1, age: 40 }]);
+    test.fail("Should throw ValidationError for the invalid documents");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details.map((detail) => [detail.index, detail.name]), [[1, "age"], [2, "name"]], "Each error should have the index of its document");
+  }
+
+  test.equal(await TestCollection.find({}, { withDeleted: true }).countAsync(), 0, "Nothing should be written");
+
+  const addedIds = [];
+  const handle = await TestCollection.find({}).observeChangesAsync({ added: (id) => addedIds.push(id) });
+  const [johnId, janeId] = await TestCollection.insertManyAsync([{ name: "John", age: 30 }, { name: "Jane", age: 25 }]);
+  handle.stop();
+  test.equal(addedIds, [johnId, janeId], "Observers should see the inserted documents");
+
+  const john = await TestCollection.findOneAsync(johnId);
+  test.equal(john.name, "John", "Documents should be inserted");
+  test.isTrue(john.createdAt instanceof Date, "Dates should be added");
+  test.isFalse(john.isDeleted, "Soft delete default should be added");
+
+  try {
+    await TestCollection.bulkWriteAsync([
+      { updateOne: { filter: { _id: johnId }, update: { $set: { age: 31 } } } },
+      { insertOne: { document: { name: "Bob" } } },
+      { replaceOne: { filter: { _id: janeId }, replacement: { name: "Jane", age: 26 } } },
+    ]);
+    test.fail("Should throw ValidationError for the invalid operations");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details.map((detail) => detail.index), [1, 2], "Each error should have the index of its operation");
+    test.equal(error.details[1].type, "unsupported_bulk_operation", "replaceOne should not be supported");
+  }
+
+  test.equal((await TestCollection.findOneAsync(johnId)).age, 30, "Valid operations should not be written either");
+
+  const result = await TestCollection.bulkWriteAsync([
+    { updateOne: { filter: { _id: johnId }, update: { $set: { age: 31 } } } },
+    { insertOne: { document: { name: "Bob", age: 20 } } },
+    { deleteOne: { filter: { _id: janeId } } },
+  ]);
+
+  test.equal(result.insertedCount, 1, "One document should be inserted");
+  test.equal(result.modifiedCount, 1, "One document should be updated");
+  test.equal((await TestCollection.findOneAsync(johnId)).age, 31, "Update should be applied");
+  test.isTrue((await TestCollection.findOneAsync(result.insertedIds[1])).updatedAt instanceof Date, "Dates should be added to inserts");
+  test.isUndefined(await TestCollection.findOneAsync(janeId), "Deleted document should be hidden");
+  test.isTrue((await TestCollection.findOneAsync(janeId, { withDeleted: true })).isDeleted, "Delete should be a soft delete");
+});
+
+Tinytest.addAsync("extendWithSchema - validateReads", async (test) => {
+  const TestCollection = createTestCollection("test");
+  const schema = z.object({
+    name: z.string().transform((name) => name.trim()),
+    age: z.number(),
+    role: z.string().default("user"),
   });
-  test.isNotUndefined(numberId, "Should insert nested number data");
 
-  const booleanId = await TestCollection.insertAsync({
-    id: "bool1",
-    nested: { data: { type: "boolean", value: true } },
+  const validId = await TestCollection.insertAsync({ name: " John ", age: 30, legacy: true });
+  const invalidId = await TestCollection.insertAsync({ name: "Jane", age: "25", role: "admin" });
+  const untrimmedId = await TestCollection.insertAsync({ name: " Bob ", age: "40" });
+
+  TestCollection.withSchema(schema, { validateReads: "throw" });
+
+  const validDoc = await TestCollection.findOneAsync(validId);
+  test.equal(validDoc.name, "John", "Transforms should be applied");
+  test.equal(validDoc.role, "user", "Defaults should be applied");
+  test.isTrue(validDoc.legacy, "Unknown fields should be kept");
+
+  try {
+    await TestCollection.find({}).fetchAsync();
+    test.fail("Should throw ValidationError for the invalid document");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].name, "age", "Error should be about the age field");
+    test.equal(error.details[0].docId, invalidId, "Error should have the document id");
+  }
+
+  test.equal((await TestCollection.findOneAsync(invalidId, { skipSchema: true })).age, "25", "skipSchema should return the stored document");
+  test.equal((await TestCollection.findOneAsync(invalidId, { fields: { age: 1 } })).age, "25", "Projections should not be validated");
+
+  TestCollection.withSchema(schema, { validateReads: "strip", readPassthrough: false });
+
+  const strippedDoc = await TestCollection.findOneAsync(invalidId);
+  test.isUndefined(strippedDoc.age, "Invalid fields should be stripped");
+  test.equal(strippedDoc.role, "admin", "Valid fields should be kept");
+  test.isUndefined((await TestCollection.findOneAsync(validId)).legacy, "Unknown fields should be removed without readPassthrough");
+
+  const parsedStrippedDoc = await TestCollection.findOneAsync(untrimmedId);
+  test.equal(parsedStrippedDoc.name, "Bob", "Transforms should be applied to stripped documents");
+  test.equal(parsedStrippedDoc.role, "user", "Defaults should be applied to stripped documents");
+
+  // Database checks are skipped on reads, other async refinements can't run
+  TestCollection.withSchema(schema.extend({ name: z.string().superRefine(unique()) }), { validateReads: "log" });
+  test.equal((await TestCollection.findOneAsync(validId)).age, 30, "Reads should work with unique()");
+
+  TestCollection.withSchema(schema.extend({ name: z.string().refine(async () => true) }), { validateReads: "log" });
+
+  try {
+    await TestCollection.findOneAsync(validId);
+    test.fail("Should throw for a schema with async refinements");
+  } catch (error) {
+    test.equal(error.error, "ASYNC_READ_SCHEMA", "Error should be about the async schema");
+  }
+
+  try {
+    TestCollection.withSchema(schema, { validateReads: "ignore" });
+    test.fail("Should throw for an invalid read mode");
+  } catch (error) {
+    test.equal(error.error, "INVALID_READ_MODE", "Error should be about the read mode");
+  }
+});
+
+Tinytest.addAsync("extendWithSchema - auditSchemaAsync and migrateAsync", async (test) => {
+  const TestCollection = createTestCollection("test");
+  const validId = await TestCollection.insertAsync({ name: "John", age: 30 });
+  const stringAgeId = await TestCollection.insertAsync({ name: "Jane", age: "25", legacy: true });
+  const noNameId = await TestCollection.insertAsync({ age: 40 });
+
+  TestCollection.withSchema(z.object({
+    name: z.string(),
+    age: z.number(),
+  }));
+
+  const report = await TestCollection.auditSchemaAsync({ batchSize: 2 });
+  test.equal(report.checked, 3, "Every document should be checked");
+  test.equal(report.invalid.map((doc) => doc._id).sort(), [stringAgeId, noNameId].sort(), "Invalid documents should be reported");
+  test.equal(report.invalid.find((doc) => doc._id === stringAgeId).errors[0].name, "age", "Errors should have the field name");
+  test.equal((await TestCollection.auditSchemaAsync({ limit: 1 })).checked, 1, "Limit should be respected");
+
+  const transform = (doc) => ({ ...doc, age: Number(doc.age) });
+  const dryRun = await TestCollection.migrateAsync(transform, { dryRun: true });
+  test.equal(dryRun.migrated, [stringAgeId], "Fixable documents should be reported");
+  test.equal(dryRun.failed.map((doc) => doc._id), [noNameId], "Documents still invalid should be reported");
+  test.equal((await TestCollection.findOneAsync(stringAgeId)).age, "25", "Dry run should not write");
+
+  await TestCollection.migrateAsync(transform);
+  test.equal((await TestCollection.findOneAsync(stringAgeId)).age, 25, "Document should be migrated");
+  test.isTrue((await TestCollection.findOneAsync(stringAgeId)).legacy, "Fields unknown to the schema should be kept");
+  test.equal((await TestCollection.findOneAsync(validId)).age, 30, "Valid documents should be untouched");
+  test.isUndefined((await TestCollection.findOneAsync(noNameId)).name, "Documents still invalid should be untouched");
+});
+
+Tinytest.addAsync("extendWithSchema - Versioned schema with migrations", async (test) => {
+  const TestCollection = createTestCollection("test");
+  const oldId = await TestCollection.insertAsync({ fullName: "John Doe", age: 30 });
+  const legacyId = await TestCollection.insertAsync({ fullName: "Ann Lee", age: 20, legacy: true });
+
+  TestCollection.withSchema(z.object({
+    firstName: z.string(),
+    lastName: z.string(),
+    age: z.number(),
+  }), {
+    version: 2,
+    migrations: {
+      1: ({ fullName, ...doc }) => ({ ...doc, name: fullName }),
+      2: ({ name, ...doc }) => {
+        const [firstName, lastName] = name.split(" ");
+        return { ...doc, firstName, lastName };
+      },
+    },
   });
-  test.isNotUndefined(booleanId, "Should insert nested boolean data");
 
-  // Test invalid insertions
+  test.isTrue(TestCollection.hasBehavior("schemaVersion"), "Version field should be added to the schema");
+
+  const newId = await TestCollection.insertAsync({ firstName: "Jane", lastName: "Doe", age: 25 });
+  test.equal((await TestCollection.findOneAsync(newId)).schemaVersion, 2, "Inserts should store the schema version");
+
+  const readDoc = await TestCollection.findOneAsync(oldId);
+  test.equal(readDoc.firstName, "John", "Reads should upgrade old documents");
+  test.equal(readDoc.schemaVersion, 2, "Upgraded documents should have the current version");
+  test.isUndefined((await TestCollection.findOneAsync(oldId, { skipSchema: true })).schemaVersion, "Reads should not write the upgrade");
+
+  await TestCollection.updateAsync(oldId, { $set: { age: 31 } });
+  const storedDoc = await TestCollection.findOneAsync(oldId, { skipSchema: true });
+  test.equal(storedDoc.lastName, "Doe", "Updates should write the upgraded document");
+  test.isUndefined(storedDoc.fullName, "Old fields should be removed");
+  test.equal(storedDoc.age, 31, "The update should be applied");
+  test.equal(storedDoc.schemaVersion, 2, "Updated documents should have the current version");
+
   try {
-    await TestCollection.insertAsync({
-      id: "invalid1",
-      nested: { data: { type: "string", value: 123 } },
-    });
-    test.fail("Should not insert mismatched type and value in nested field");
+    await TestCollection.updateAsync(legacyId, { $set: { age: "21" } });
+    test.fail("Should throw ValidationError for an invalid update");
   } catch (error) {
     test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
   }
 
   try {
-    await TestCollection.insertAsync({
-      id: "invalid2",
-      nested: { data: { type: "unknown", value: "test" } },
-    });
-    test.fail("Should not insert unknown type in nested field");
+    await TestCollection.bulkWriteAsync([
+      { updateOne: { filter: { _id: legacyId }, update: { $set: { age: 21 } } } },
+      { insertOne: { document: { firstName: "Bob" } } },
+    ]);
+    test.fail("Should throw ValidationError for the invalid operation");
   } catch (error) {
     test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
   }
 
-  // Test valid updates
-  await TestCollection.updateAsync(stringId, {
-    $set: { "nested.data": { type: "number", value: 100 } },
+  test.isUndefined((await TestCollection.findOneAsync(legacyId, { skipSchema: true })).schemaVersion, "Rejected writes should not write the upgrade");
+
+  await TestCollection.updateAsync(legacyId, { $set: { age: 21 } });
+  const legacyDoc = await TestCollection.findOneAsync(legacyId, { skipSchema: true });
+  test.equal(legacyDoc.firstName, "Ann", "The upgrade should be written with the update");
+  test.isTrue(legacyDoc.legacy, "Fields unknown to the schema should be kept by the upgrade");
+
+  // A single update only upgrades the document it writes to
+  const currentId = await TestCollection.insertAsync({ firstName: "Max", lastName: "Roe", age: 45 });
+  const outdatedId = await TestCollection.insertAsync({ fullName: "Eve Poe", age: 50 }, { skipSchema: true });
+  await TestCollection.updateAsync({ age: { $gte: 45 } }, { $set: { age: 46 } });
+  test.equal((await TestCollection.findOneAsync(currentId)).age, 46, "The first match should be updated");
+  test.isUndefined((await TestCollection.findOneAsync(outdatedId, { skipSchema: true })).schemaVersion, "Other matches should not be upgraded");
+
+  try {
+    await TestCollection.updateAsync(newId, { $unset: { schemaVersion: true } });
+    test.fail("Should throw ValidationError when removing the version");
+  } catch (error) {
+    test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+  }
+});
+
+Tinytest.addAsync("extendWithSchema - Immutable fields", async (test) => {
+  const TestCollection = createTestCollection("test");
+  const schema = z.object({
+    sku: z.string().describe("immutable"),
+    name: z.string(),
+    stock: z.number(),
+    meta: z.object({
+      source: z.string().describe("immutable"),
+      views: z.number().optional(),
+    }),
+    code: z.string().optional(),
   });
-  const updatedDoc = await TestCollection.findOneAsync(stringId);
-  test.equal(updatedDoc.nested.data, { type: "number", value: 100 }, "Should update nested field to valid union type");
 
-  // Test invalid updates
+  TestCollection.withSchema(schema).withDates().withImmutableFields(["code", "createdAt"]);
+
+  const id = await TestCollection.insertAsync({ sku: "A1", name: "Item", stock: 1, meta: { source: "import" }, code: "X" });
+
+  await TestCollection.updateAsync(id, { $set: { name: "New item", "meta.views": 1 }, $inc: { stock: 1 } });
+  test.equal((await TestCollection.findOneAsync(id)).name, "New item", "Mutable fields should be updated");
+
+  const invalidModifiers = [
+    [{ $set: { sku: "B2" } }, "sku"],
+    [{ $set: { meta: { source: "api" } } }, "meta"],
+    [{ $set: { "meta.source": "api" } }, "meta.source"],
+    [{ $unset: { code: true } }, "code"],
+    [{ $rename: { name: "code" } }, "code"],
+    [{ $inc: { sku: 1 } }, "sku"],
+    // withDates removes createdAt from $set, it must be rejected before that
+    [{ $set: { createdAt: new Date() } }, "createdAt"],
+  ];
+
+  for (const [modifier, name] of invalidModifiers) {
+    try {
+      await TestCollection.updateAsync(id, modifier);
+      test.fail(`Should throw ValidationError for ${JSON.stringify(modifier)}`);
+    } catch (error) {
+      test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+      test.equal(error.details[0].name, name, "Error should be about the immutable field");
+      test.equal(error.details[0].type, "immutable_field", "Error should be about the immutable field");
+    }
+  }
+
+  const doc = await TestCollection.findOneAsync(id);
+  test.equal([doc.sku, doc.meta.source, doc.code], ["A1", "import", "X"], "Immutable fields should not change");
+});
+
+Tinytest.addAsync("extendWithSchema - defineMethod with collection schemas", async (test) => {
+  const TestCollection = createTestCollection("test");
+  const schema = z.object({
+    name: z.string(),
+    profile: z.object({
+      age: z.number(),
+      bio: z.string(),
+    }),
+  });
+
+  TestCollection.withSchema(schema).withDates().withSoftDelete();
+
+  test.isUndefined(TestCollection.insertSchema().shape.createdAt, "Insert schema should not have the managed fields");
+  test.isTrue(TestCollection.updateSchema().safeParse({ profile: { age: 30 } }).success, "Update schema fields should be optional");
+
+  const insertTask = defineMethod({
+    name: `tests.insert.${Random.id()}`,
+    input: TestCollection.insertSchema(),
+    run: async (doc) => await TestCollection.insertAsync(doc),
+  });
+
+  const updateTask = defineMethod({
+    name: `tests.update.${Random.id()}`,
+    input: z.object({ _id: z.string(), changes: TestCollection.updateSchema() }),
+    run: async ({ _id, changes }) => await TestCollection.updateAsync(_id, { $set: changes }),
+  });
+
+  const id = await insertTask({ name: "John", profile: { age: 30, bio: "Hi" } });
+  test.isTrue((await TestCollection.findOneAsync(id)).createdAt instanceof Date, "Method should write through the collection");
+
+  await updateTask({ _id: id, changes: { name: "Johnny" } });
+  test.equal((await TestCollection.findOneAsync(id)).name, "Johnny", "Update method should apply the changes");
+
   try {
-    await TestCollection.updateAsync(numberId, {
-      $set: { "nested.data": { type: "number", value: "not a number" } },
-    });
-    test.fail("Should not update nested field with invalid value for type");
+    await insertTask({ name: "Jane", profile: { age: "25", bio: "Hi" } });
+    test.fail("Should throw ValidationError for invalid arguments");
   } catch (error) {
     test.isTrue(ValidationError.is(error), "Error should be a ValidationError");
+    test.equal(error.details[0].name, "profile.age", "Error should be about the age field");
+    test.equal(error.reason, "Method arguments validation error", "Error should come from the method arguments");
+  }
+});
+
+Tinytest.add("extendWithSchema - getSchema, getInsertSchema and getUpdateSchema", (test) => {
+  const TestCollection = createTestCollection("test");
+  const schema = z.object({
+    sku: z.string().describe("immutable"),
+    name: z.string(),
+    meta: z.object({
+      views: z.number(),
+    }),
+  });
+
+  test.isNull(TestCollection.getInsertSchema(), "Collections without schema should have no insert schema");
+  test.isNull(TestCollection.getUpdateSchema(), "Collections without schema should have no update schema");
+
+  TestCollection.withSchema(schema).withUser().withDates().withSoftDelete();
+
+  test.equal(TestCollection.getSchema(), TestCollection._schema, "getSchema should return the collection schema");
+  test.isTrue("createdAt" in TestCollection.getSchema().shape, "Collection schema should have the managed fields");
+
+  const insertSchema = TestCollection.getInsertSchema();
+  test.equal(Object.keys(insertSchema.shape), ["sku", "name", "meta"], "Insert schema should not have the managed fields");
+  test.isTrue(insertSchema.safeParse({ sku: "A1", name: "Item", meta: { views: 0 } }).success, "Insert schema should accept a new document");
+
+  const updateSchema = TestCollection.getUpdateSchema();
+  test.equal(Object.keys(updateSchema.shape), ["name", "meta"], "Update schema should not have the immutable fields");
+  test.isTrue(updateSchema.safeParse({ meta: {} }).success, "Update schema fields should be optional");
+  test.isFalse(updateSchema.safeParse({ name: 1 }).success, "Update schema should check the field types");
+});
+
+Tinytest.addAsync("extendWithSchema - Normalized error details and message formatter", async (test) => {
+  const TestCollection = createTestCollection("tasks");
+  const schema = z.object({
+    title: z.string().min(3),
+    tags: z.array(z.string()),
+    items: z.array(z.object({ qty: z.number() })),
+  });
+
+  TestCollection.withSchema(schema);
+
+  const id = await TestCollection.insertAsync({ title: "Task", tags: [], items: [{ qty: 1 }] });
+
+  try {
+    await TestCollection.updateAsync(id, { $set: { "items.0.qty": "2" } });
+    test.fail("Should throw ValidationError for an invalid value");
+  } catch (error) {
+    test.equal(error.details[0].name, "items.0.qty", "Error should have the dotted name");
+    test.equal(error.details[0].path, ["items", 0, "qty"], "Error should have the path array");
+    test.equal(error.details[0].operator, "$set", "Error should have the operator");
+    test.equal(error.details[0].collection, "tasks", "Error should have the collection name");
+    test.equal([error.details[0].expected, error.details[0].received], ["number", "string"], "Error should have the expected and received types");
+  }
+
+  try {
+    await TestCollection.updateAsync(id, { $pop: { tags: 2 } });
+    test.fail("Should throw ValidationError for an invalid $pop");
+  } catch (error) {
+    test.equal(error.details[0].name, "tags", "$pop error should be about the field");
+    test.equal(error.details[0].path, ["tags"], "$pop error should have the path array");
+    test.equal(error.details[0].operator, "$pop", "$pop error should have the operator");
+  }
+
+  const formatMessage = ValidationError.formatMessage;
+  ValidationError.formatMessage = ({ type, path, params }) => `${type}:${path.join("/")}:${params?.minimum}`;
+
+  try {
+    await TestCollection.insertAsync({ title: "A", tags: [], items: [] });
+    test.fail("Should throw ValidationError for a short title");
+  } catch (error) {
+    test.equal(error.details[0].message, "too_small:title:3", "Message should come from the formatter");
+    test.isUndefined(error.details[0].operator, "Inserts should have no operator");
+  } finally {
+    ValidationError.formatMessage = formatMessage;
   }
 });
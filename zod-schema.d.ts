@@ -1,18 +1,208 @@
 /* eslint no-unused-vars: 0 */
 
-import { ZodSchema } from "zod";
+import { RefinementCtx, z, ZodSchema, ZodTypeAny } from "zod";
+import { Meteor } from "meteor/meteor";
+import { Mongo } from "meteor/mongo";
 
 
 type AnyObject = Record<string, any>;
 
+// A top level field or a dotted path inside one, ex. "meta.createdBy"
+type FieldPath<T> = (keyof T & string) | `${keyof T & string}.${string}`;
+
+type WithSchemaOptions = {
+  validateFullDocument?: boolean;
+  validateReads?: false | "log" | "throw" | "strip";
+  readPassthrough?: boolean;
+  version?: number;
+  migrations?: Record<number, (doc: AnyObject) => AnyObject>;
+  versionField?: string;
+};
+
+type WithUserOptions<UserId extends string = "userId", UpdatedBy extends string = "updatedBy"> = {
+  trackUpdates?: boolean;
+  userIdField?: UserId;
+  updatedByField?: UpdatedBy;
+  userIdSchema?: ZodTypeAny;
+};
+
+type WithDatesOptions<CreatedAt extends string = "createdAt", UpdatedAt extends string = "updatedAt"> = {
+  createdAtField?: CreatedAt;
+  updatedAtField?: UpdatedAt;
+  dateSchema?: ZodTypeAny;
+};
+
+type WithSoftDeleteOptions<
+  IsDeleted extends string = "isDeleted",
+  DeletedAt extends string = "deletedAt",
+  DeletedBy extends string = "deletedBy",
+  RestoredAt extends string = "restoredAt",
+  RestoredBy extends string = "restoredBy",
+> = {
+  retentionDays?: number;
+  isDeletedField?: IsDeleted;
+  deletedAtField?: DeletedAt;
+  deletedByField?: DeletedBy;
+  restoredAtField?: RestoredAt;
+  restoredByField?: RestoredBy;
+  userIdSchema?: ZodTypeAny;
+};
+
+// Fields added to the documents by withUser, withDates and withSoftDelete.
+// They are managed by the collection, so they are not part of the insert type.
+type UserFields<UserId extends string, UpdatedBy extends string> =
+  Record<UserId, string> & Partial<Record<UpdatedBy, string>>;
+
+type DateFields<CreatedAt extends string, UpdatedAt extends string> =
+  Record<CreatedAt | UpdatedAt, Date>;
+
+type SoftDeleteFields<
+  IsDeleted extends string,
+  DeletedAt extends string,
+  DeletedBy extends string,
+  RestoredAt extends string,
+  RestoredBy extends string,
+> = Record<IsDeleted, boolean> &
+  Partial<Record<DeletedAt | RestoredAt, Date>> &
+  Partial<Record<DeletedBy | RestoredBy, string>>;
+
+type WithId<T> = T & { _id: string };
+
+// The methods of a collection with a schema that depend on its document types
+type TypedMethods =
+  | "insertAsync"
+  | "insertManyAsync"
+  | "withSchema"
+  | "withUser"
+  | "withDates"
+  | "withSoftDelete"
+  | "withImmutableFields";
+
+type BulkWriteOperation =
+  | { insertOne: { document: AnyObject } }
+  | { updateOne: { filter: AnyObject | string; update: AnyObject; upsert?: boolean; arrayFilters?: AnyObject[] } }
+  | { updateMany: { filter: AnyObject | string; update: AnyObject; upsert?: boolean; arrayFilters?: AnyObject[] } }
+  | { deleteOne: { filter: AnyObject | string } }
+  | { deleteMany: { filter: AnyObject | string } };
+
+type BulkWriteOptions = {
+  skipSchema?: boolean;
+};
+
+type BulkWriteResult = {
+  insertedCount: number;
+  matchedCount: number;
+  modifiedCount: number;
+  deletedCount: number;
+  upsertedCount: number;
+  insertedIds: Record<number, any>;
+  upsertedIds: Record<number, any>;
+};
+
+type DocumentErrors = {
+  _id: any;
+  errors: Array<{ name: string; path: Array<string | number>; type: string; message: string; collection?: string; params?: AnyObject }>;
+};
+
+type SchemaAuditReport = {
+  checked: number;
+  invalid: DocumentErrors[];
+};
+
+type SchemaMigrationReport = {
+  checked: number;
+  migrated: any[];
+  failed: DocumentErrors[];
+  dryRun: boolean;
+};
+
 declare module "meteor/mongo" {
   namespace Mongo {
     interface Collection<T, U = T> {
-      withSchema(schema: ZodSchema): Collection<T, U>;
-      withSoftDelete(): Collection<T, U>;
-      withDates(): Collection<T, U>;
-      withUser(): Collection<T, U>;
+      withSchema<S extends ZodTypeAny>(schema: S, options?: WithSchemaOptions): SchemaCollection<z.infer<S>, z.input<S>>;
+      withSoftDelete(options?: WithSoftDeleteOptions): Collection<T, U>;
+      withDates(options?: WithDatesOptions): Collection<T, U>;
+      withUser(options?: WithUserOptions): Collection<T, U>;
+      withImmutableFields(fields: string[]): Collection<T, U>;
+      getSchema(): ZodSchema | null;
+      getInsertSchema(): ZodSchema | null;
+      getUpdateSchema(): ZodSchema | null;
+      insertSchema(): ZodSchema | null;
+      updateSchema(): ZodSchema | null;
+      hasBehavior(name: "user" | "dates" | "softDelete" | "schemaVersion"): boolean;
+      getBehaviors(): Array<"user" | "dates" | "softDelete" | "schemaVersion">;
       recoverAsync(params: AnyObject): Promise<any>;
+      forceRemoveAsync(params: AnyObject | string): Promise<number>;
+      purgeDeletedAsync(options?: { olderThan?: Date }): Promise<number>;
+      enforceRetentionAsync(): Promise<number>;
+      insertManyAsync(docs: AnyObject[], options?: BulkWriteOptions): Promise<string[]>;
+      bulkWriteAsync(operations: BulkWriteOperation[], options?: BulkWriteOptions): Promise<BulkWriteResult>;
+      auditSchemaAsync(options?: { limit?: number; batchSize?: number }): Promise<SchemaAuditReport>;
+      migrateAsync(
+        transform: (doc: AnyObject) => AnyObject | Promise<AnyObject>,
+        options?: { limit?: number; batchSize?: number; dryRun?: boolean },
+      ): Promise<SchemaMigrationReport>;
+    }
+
+    // A collection typed from its schema. Doc is the type of the stored
+    // documents, with the managed fields, and Input the type insertAsync takes.
+    interface SchemaCollection<Doc extends AnyObject, Input = Doc> extends Omit<Collection<WithId<Doc>>, TypedMethods> {
+      withSchema<S extends ZodTypeAny>(schema: S, options?: WithSchemaOptions): SchemaCollection<z.infer<S>, z.input<S>>;
+      withUser<UserId extends string = "userId", UpdatedBy extends string = "updatedBy">(
+        options?: WithUserOptions<UserId, UpdatedBy>,
+      ): SchemaCollection<Doc & UserFields<UserId, UpdatedBy>, Input>;
+      withDates<CreatedAt extends string = "createdAt", UpdatedAt extends string = "updatedAt">(
+        options?: WithDatesOptions<CreatedAt, UpdatedAt>,
+      ): SchemaCollection<Doc & DateFields<CreatedAt, UpdatedAt>, Input>;
+      withSoftDelete<
+        IsDeleted extends string = "isDeleted",
+        DeletedAt extends string = "deletedAt",
+        DeletedBy extends string = "deletedBy",
+        RestoredAt extends string = "restoredAt",
+        RestoredBy extends string = "restoredBy",
+      >(
+        options?: WithSoftDeleteOptions<IsDeleted, DeletedAt, DeletedBy, RestoredAt, RestoredBy>,
+      ): SchemaCollection<Doc & SoftDeleteFields<IsDeleted, DeletedAt, DeletedBy, RestoredAt, RestoredBy>, Input>;
+      withImmutableFields(fields: Array<FieldPath<Doc>>): SchemaCollection<Doc, Input>;
+      insertAsync(doc: Input & { _id?: string }): Promise<string>;
+      insertManyAsync(docs: Array<Input & { _id?: string }>, options?: BulkWriteOptions): Promise<string[]>;
     }
   }
-}
\ No newline at end of file
+}
+
+// The exports of the package, zodern:types publishes them as
+// "meteor/pmogollons:zod-schema"
+
+// Returns synchronously when the check is skipped, on the client and on reads
+type AsyncRefinement = (value: any, ctx: RefinementCtx) => void | Promise<void>;
+
+export function unique(collection?: Mongo.Collection<any>, options?: { message?: string }): AsyncRefinement;
+export function references(collection: Mongo.Collection<any>, options?: { field?: string; message?: string }): AsyncRefinement;
+
+export function defineMethod<I = any, R = any>(options: {
+  name: string;
+  input?: ZodSchema;
+  run: (this: Meteor.MethodThisType, args: I) => R | Promise<R>;
+}): (args: I) => Promise<R>;
+
+export type ValidationErrorDetail = {
+  name: string;
+  path: Array<string | number>;
+  type: string;
+  message: string;
+  operator?: string;
+  collection?: string;
+  expected?: string;
+  received?: string;
+  params?: AnyObject;
+  docId?: any;
+  index?: number;
+};
+
+export class ValidationError extends Meteor.Error {
+  constructor(errors: Array<Partial<ValidationErrorDetail> & { name: string; type: string; message: string }>, message?: string);
+  static is(err: any): err is ValidationError;
+  static formatMessage: (detail: ValidationErrorDetail) => string;
+  static ERROR_CODE: string;
+  static DEFAULT_MESSAGE: string;
+}